@@ -0,0 +1,113 @@
+// Shareable links: the page state packed into the URL hash and read back.
+// Pure functions only, like physics.mjs and scenario.mjs; the page collects and applies the state.
+//
+// The hash is a query string, e.g.
+//   #v=0.6&units=si&formulas=1&twin-distance=4&rocket-profile=flip&frame=moving&e=1,0.5,ff00ff,E1
+//   v          Global velocity (v/c), which every velocity slider follows
+//   units      "si" when SI units are on (natural units otherwise)
+//   formulas   "1" when formulas are shown
+//   frame      Viewed spacetime frame: stationary, moving or frame-N for the Nth frame in the table
+//   f          One per added frame, in table order: velocity,rrggbb,name
+//   e          One per event: ct,x,rrggbb,label (stationary-frame coordinates)
+//   any other  A section slider (numeric value) or radio group (text value), keyed by its id or name
+// Links are typed and edited by hand, so decoding skips entries it cannot read instead of failing.
+
+const RESERVED_KEYS = ['v', 'units', 'formulas', 'frame', 'f', 'e'];
+const KEY_PATTERN = /^[a-z][a-z0-9-]*$/;
+const COLOR_PATTERN = /^[0-9a-f]{6}$/i;
+
+// Four decimals keeps links short while staying well below what a drag can place
+function formatNumber(value) {
+    return String(Math.round(value * 1e4) / 1e4);
+}
+
+function parseNumber(text) {
+    const value = Number(text);
+    return text !== '' && Number.isFinite(value) ? value : null;
+}
+
+function parseVelocity(text) {
+    const value = parseNumber(text);
+    return value !== null && Math.abs(value) < 1 ? value : null;
+}
+
+function parseColor(text) {
+    return COLOR_PATTERN.test(text) ? `#${text.toLowerCase()}` : null;
+}
+
+/**
+ * Packs the page state into a URL hash.
+ * @param {object} state {velocity, units, formulas, sliders: {id: value}, choices: {name: value},
+ *   viewFrame, frames: [{velocity, color, name}] (added frames only), events: [{ct, x, color, label}]}.
+ * @returns {string} Hash text without the leading "#".
+ */
+export function encodeAppHash(state) {
+    const params = new URLSearchParams();
+    params.set('v', formatNumber(state.velocity));
+    if (state.units === 'SI') params.set('units', 'si');
+    if (state.formulas) params.set('formulas', '1');
+    Object.entries(state.sliders).forEach(([id, value]) => params.set(id, formatNumber(value)));
+    Object.entries(state.choices).forEach(([name, value]) => params.set(name, value));
+    params.set('frame', state.viewFrame);
+    state.frames.forEach(frame => {
+        params.append('f', [formatNumber(frame.velocity), frame.color.slice(1), frame.name].join(','));
+    });
+    state.events.forEach(event => {
+        params.append('e', [formatNumber(event.ct), formatNumber(event.x), event.color.slice(1), event.label].join(','));
+    });
+    return params.toString();
+}
+
+/**
+ * Reads the page state back out of a URL hash. Only what the hash specifies is returned:
+ * missing or unreadable entries come back undefined (or are left out of the lists).
+ * Events and frames are only returned when the hash names a frame, so a link with just a
+ * velocity does not clear the diagram.
+ * @param {string} hash Hash text, with or without the leading "#".
+ * @returns {object} Partial state in the shape encodeAppHash accepts.
+ */
+export function decodeAppHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = { sliders: {}, choices: {} };
+
+    const velocity = params.has('v') ? parseVelocity(params.get('v')) : null;
+    if (velocity !== null) state.velocity = velocity;
+    if (params.has('units')) state.units = params.get('units') === 'si' ? 'SI' : 'natural';
+    if (params.has('formulas')) state.formulas = params.get('formulas') === '1';
+
+    params.forEach((value, key) => {
+        if (RESERVED_KEYS.includes(key) || !KEY_PATTERN.test(key)) return;
+        const number = parseNumber(value);
+        if (number !== null) {
+            state.sliders[key] = number;
+        } else {
+            state.choices[key] = value;
+        }
+    });
+
+    if (params.has('frame')) {
+        state.frames = [];
+        params.getAll('f').forEach(entry => {
+            const [velocityText, colorText, ...name] = entry.split(',');
+            const frameVelocity = parseVelocity(velocityText);
+            const color = parseColor(colorText);
+            if (frameVelocity === null || color === null) return;
+            // Added frames are renumbered from 3 in table order when restored
+            state.frames.push({ id: `frame-${state.frames.length + 3}`, velocity: frameVelocity, color, name: name.join(',') });
+        });
+        const viewFrame = params.get('frame');
+        const frameIds = ['stationary', 'moving', ...state.frames.map(frame => frame.id)];
+        state.viewFrame = frameIds.includes(viewFrame) ? viewFrame : 'stationary';
+
+        state.events = [];
+        params.getAll('e').forEach(entry => {
+            const [ctText, xText, colorText, ...label] = entry.split(',');
+            const ct = parseNumber(ctText);
+            const x = parseNumber(xText);
+            const color = parseColor(colorText);
+            if (ct === null || x === null || color === null) return;
+            state.events.push({ ct, x, color, label: label.join(',') });
+        });
+    }
+    return state;
+}
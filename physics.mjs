@@ -0,0 +1,976 @@
+// Special relativity physics core.
+// Pure functions only: no DOM, p5 or THREE access, so this module can be imported
+// from the page, from Node scripts, notebooks or graders alike.
+// Velocities are always expressed as a fraction of light speed (v/c).
+
+export const C_SI = 299792458; // Speed of light in meters per second (SI units)
+export const LIGHT_YEAR_SI = 9.4607304725808e15; // One light-year in meters
+export const YEAR_SI = 365.25 * 86400; // One Julian year in seconds
+export const G_SI = 9.80665; // Standard gravity in m/s²
+export const ELECTRON_VOLT_SI = 1.602176634e-19; // One electron volt in joules
+
+/**
+ * Calculates the Lorentz factor for a given velocity.
+ * @param {number} v Velocity (as v/c).
+ * @returns {number} Lorentz factor gamma (Infinity at or beyond light speed).
+ */
+export function calculateLorentzFactor(v) {
+    const parsed = parseFloat(v);
+    const v_over_c = isNaN(parsed) ? 0 : parsed;
+
+    if (Math.abs(v_over_c) >= 1) {
+        console.warn(`Velocity (v=${v_over_c}) reaches light speed`);
+        return Infinity;
+    }
+
+    const denominator = Math.sqrt(1 - (v_over_c ** 2));
+    if (denominator < 1e-9) {
+        console.warn("Extreme velocity - precision limit reached");
+        return Infinity;
+    }
+
+    return 1 / denominator;
+}
+
+/**
+ * Performs Lorentz Transformation for an event (t, x) to a new frame moving at velocity v.
+ * This is boostFourVector along x; use it directly for events off the x axis or boosts in other directions.
+ * @param {number} t Time coordinate in original frame.
+ * @param {number} x Space coordinate in original frame.
+ * @param {number} v Velocity of the new frame relative to the original (as v/c).
+ * @param {number} [c=1] Speed of light in the units of t and x (1 for natural units, C_SI for seconds and meters).
+ * @returns {{tPrime: number, xPrime: number}} Transformed coordinates.
+ */
+export function lorentzTransform(t, x, v, c = 1) {
+    // The boost acts on ct, so the v/c² term of t' becomes v/c once v is expressed as v/c
+    const event = boostFourVector(createFourVector(c * t, x), { x: v, y: 0, z: 0 });
+    return { tPrime: event.t / c, xPrime: event.x };
+}
+
+/**
+ * Performs the inverse Lorentz Transformation, taking an event (t', x') in the moving frame
+ * back to the original frame.
+ * @param {number} tPrime Time coordinate in the moving frame.
+ * @param {number} xPrime Space coordinate in the moving frame.
+ * @param {number} v Velocity of the moving frame relative to the original (as v/c).
+ * @param {number} [c=1] Speed of light in the units of t and x.
+ * @returns {{t: number, x: number}} Coordinates in the original frame.
+ */
+export function inverseLorentzTransform(tPrime, xPrime, v, c = 1) {
+    const { tPrime: t, xPrime: x } = lorentzTransform(tPrime, xPrime, -v, c);
+    return { t, x };
+}
+
+/**
+ * Calculates the relativistic velocity addition.
+ * @param {number} v1 Velocity of frame S' relative to S (as v/c).
+ * @param {number} v2 Velocity of object A relative to S' (as v/c).
+ * @returns {number} Velocity of object A relative to S (as v/c).
+ */
+export function calculateRelativisticVelocityAddition(v1, v2) {
+    // In c-units, c^2 = 1.
+    const sum = v1 + v2;
+    const denominator = 1 + (v1 * v2);
+    // Ensure denominator isn't zero or too close to zero to prevent Infinity/NaN
+    if (Math.abs(denominator) < 1e-9) {
+        return Math.sign(sum); // Approaching light speed
+    }
+    return sum / denominator;
+}
+
+/**
+ * Calculates the rapidity of a velocity: the boost parameter eta with v = tanh(eta), which simply
+ * adds up when boosts along one line are chained.
+ * @param {number} v Velocity (as v/c).
+ * @returns {number} Rapidity (Infinity at light speed).
+ */
+export function calculateRapidity(v) {
+    return Math.atanh(v);
+}
+
+/**
+ * Chains boosts along one line, each relative to the frame reached by the ones before it.
+ * @param {number[]} velocities Velocity of each frame relative to the previous one (as v/c), in order.
+ * @returns {Array<{
+ *   velocity: number,
+ *   rapidity: number,
+ *   totalVelocity: number,
+ *   totalRapidity: number,
+ *   speedDeficit: number,
+ *   galileanSum: number
+ * }>} One entry per boost: the boost itself, and the velocity and rapidity reached after it
+ *   relative to the first frame. totalVelocity is composed step by step with the addition formula,
+ *   totalRapidity is the plain sum. speedDeficit is 1 - |totalVelocity| computed from the rapidity,
+ *   which stays above zero long after totalVelocity rounds to 1. galileanSum is the classical sum.
+ */
+export function calculateBoostChain(velocities) {
+    let totalVelocity = 0;
+    let totalRapidity = 0;
+    let galileanSum = 0;
+    return velocities.map(velocity => {
+        const rapidity = calculateRapidity(velocity);
+        totalVelocity = calculateRelativisticVelocityAddition(totalVelocity, velocity);
+        totalRapidity += rapidity;
+        galileanSum += velocity;
+        return {
+            velocity,
+            rapidity,
+            totalVelocity,
+            totalRapidity,
+            speedDeficit: 2 / (Math.exp(2 * Math.abs(totalRapidity)) + 1),
+            galileanSum,
+        };
+    });
+}
+
+// --- Velocity vectors: {x, y, z} in units of c ---
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function scaleVector(a, k) {
+    return { x: a.x * k, y: a.y * k, z: a.z * k };
+}
+
+// --- Four-vectors and Lorentz transformations in 3+1D ---
+// A four-vector is {t, x, y, z} with t in the units of x, y and z: ct for events, E for momenta
+// (with px, py, pz as pc). A Lorentz transformation is a 4×4 matrix, an array of rows ordered
+// t, x, y, z, that takes the components of a four-vector in one frame to those in another.
+// Boosts are passive like lorentzTransform: they give the coordinates seen by the moving frame.
+
+/**
+ * Builds a four-vector.
+ * @param {number} t Time component (ct, or energy).
+ * @param {number} [x=0] Space components (or momentum).
+ * @param {number} [y=0]
+ * @param {number} [z=0]
+ * @returns {{t: number, x: number, y: number, z: number}} Four-vector.
+ */
+export function createFourVector(t, x = 0, y = 0, z = 0) {
+    return { t, x, y, z };
+}
+
+/**
+ * Calculates the Minkowski inner product a·b = a_t b_t - a_x b_x - a_y b_y - a_z b_z, the same in
+ * every frame. With a = b it is the squared interval: positive for timelike four-vectors.
+ * @param {{t: number, x: number, y: number, z: number}} a First four-vector.
+ * @param {{t: number, x: number, y: number, z: number}} b Second four-vector.
+ * @returns {number} Inner product (signature + - - -).
+ */
+export function calculateMinkowskiProduct(a, b) {
+    return a.t * b.t - dot(a, b);
+}
+
+/**
+ * Calculates the four-velocity gamma (1, v) of something moving at velocity v.
+ * @param {{x: number, y: number, z: number}} velocity Velocity (as v/c).
+ * @returns {{t: number, x: number, y: number, z: number}} Four-velocity, with Minkowski square 1.
+ */
+export function calculateFourVelocity(velocity) {
+    const gamma = calculateLorentzFactor(Math.sqrt(dot(velocity, velocity)));
+    return createFourVector(gamma, velocity.x * gamma, velocity.y * gamma, velocity.z * gamma);
+}
+
+// Boost matrix from gamma and the spatial part u = gamma v of the four-velocity. Writing the
+// space block as delta_ij + u_i u_j / (1 + gamma) avoids dividing by the speed at rest.
+function boostMatrix(gamma, u) {
+    const components = [u.x, u.y, u.z];
+    return [
+        [gamma, -u.x, -u.y, -u.z],
+        ...components.map((ui, i) => [
+            -ui,
+            ...components.map((uj, j) => (i === j ? 1 : 0) + ui * uj / (1 + gamma)),
+        ]),
+    ];
+}
+
+/**
+ * Builds the boost to a frame moving at the given velocity, in any direction. Along x it is
+ * lorentzTransform; across the velocity nothing changes.
+ * @param {{x: number, y: number, z: number}} velocity Velocity of the new frame (as v/c).
+ * @returns {number[][]} Lorentz transformation matrix.
+ */
+export function createBoost(velocity) {
+    const fourVelocity = calculateFourVelocity(velocity);
+    return boostMatrix(fourVelocity.t, fourVelocity);
+}
+
+/**
+ * Builds the boost with the given rapidity along a direction. Unlike createBoost this reaches
+ * rapidities whose speed rounds to 1, and the rapidities of boosts along one line add up.
+ * @param {number} rapidity Rapidity eta (v = tanh eta); negative to boost against the direction.
+ * @param {{x: number, y: number, z: number}} direction Direction of the boost; need not be a unit vector.
+ * @returns {number[][]} Lorentz transformation matrix (no boost at all for a zero direction).
+ */
+export function createBoostFromRapidity(rapidity, direction) {
+    const length = Math.sqrt(dot(direction, direction));
+    if (length === 0) {
+        return boostMatrix(1, direction);
+    }
+    return boostMatrix(Math.cosh(rapidity), scaleVector(direction, Math.sinh(rapidity) / length));
+}
+
+/**
+ * Boosts a four-vector into a frame moving at the given velocity, in any direction: the component
+ * along the velocity transforms with t like x in lorentzTransform and the rest is unchanged. Gives the
+ * same result as applying createBoost, but keeps differences such as x - vt exact, which matters when
+ * the components are large (meters next to c times seconds).
+ * @param {{t: number, x: number, y: number, z: number}} fourVector Four-vector in the original frame.
+ * @param {{x: number, y: number, z: number}} velocity Velocity of the new frame (as v/c).
+ * @returns {{t: number, x: number, y: number, z: number}} The same four-vector in the new frame.
+ */
+export function boostFourVector(fourVector, velocity) {
+    const speed = Math.sqrt(dot(velocity, velocity));
+    if (speed === 0) {
+        return { ...fourVector };
+    }
+    const gamma = calculateLorentzFactor(speed);
+    const direction = scaleVector(velocity, 1 / speed);
+    const parallel = dot(fourVector, direction);
+    const boostedParallel = gamma * (parallel - speed * fourVector.t);
+    return createFourVector(
+        gamma * (fourVector.t - speed * parallel),
+        fourVector.x - direction.x * parallel + direction.x * boostedParallel,
+        fourVector.y - direction.y * parallel + direction.y * boostedParallel,
+        fourVector.z - direction.z * parallel + direction.z * boostedParallel,
+    );
+}
+
+/**
+ * Applies a Lorentz transformation to a four-vector.
+ * @param {number[][]} transformation Lorentz transformation matrix.
+ * @param {{t: number, x: number, y: number, z: number}} fourVector Four-vector in the original frame.
+ * @returns {{t: number, x: number, y: number, z: number}} The same four-vector in the new frame.
+ */
+export function applyLorentzTransformation(transformation, fourVector) {
+    const components = [fourVector.t, fourVector.x, fourVector.y, fourVector.z];
+    const [t, x, y, z] = transformation.map(row => row.reduce((sum, entry, j) => sum + entry * components[j], 0));
+    return createFourVector(t, x, y, z);
+}
+
+/**
+ * Composes Lorentz transformations in the order they are applied: each one is relative to the frame
+ * the ones before it reached. Two boosts in different directions compose into a boost followed by
+ * a rotation (see decomposeLorentzTransformation).
+ * @param {...number[][]} transformations Lorentz transformation matrices, first applied first.
+ * @returns {number[][]} The single transformation they make together (the identity when given none).
+ */
+export function composeLorentzTransformations(...transformations) {
+    const indices = [0, 1, 2, 3];
+    const identity = indices.map(i => indices.map(j => (i === j ? 1 : 0)));
+    // Applying `next` after `composed` is the matrix product next · composed
+    const multiply = (next, composed) => next.map(row =>
+        indices.map(j => row.reduce((sum, entry, k) => sum + entry * composed[k][j], 0)));
+    return transformations.reduce((composed, next) => multiply(next, composed), identity);
+}
+
+/**
+ * Inverts a Lorentz transformation using eta L^T eta, which needs no matrix inversion.
+ * @param {number[][]} transformation Lorentz transformation matrix.
+ * @returns {number[][]} The transformation back to the original frame.
+ */
+export function invertLorentzTransformation(transformation) {
+    const sign = i => (i === 0 ? 1 : -1);
+    return [0, 1, 2, 3].map(i => [0, 1, 2, 3].map(j => sign(i) * sign(j) * transformation[j][i]));
+}
+
+/**
+ * Splits a Lorentz transformation into a boost followed by a rotation of the space axes, L = R B(v).
+ * @param {number[][]} transformation Lorentz transformation matrix (no time reversal).
+ * @returns {{
+ *   velocity: {x: number, y: number, z: number},
+ *   rotation: {angle: number, axis: ({x: number, y: number, z: number}|null)}
+ * }}
+ *   Velocity of the new frame relative to the original one (as v/c), and the rotation R that follows
+ *   the boost: its angle in radians (0 to pi) and unit axis by the right-hand rule, as a rotation of
+ *   vector components (the axes themselves turn the other way). The axis is null when the angle is
+ *   too close to 0 to give it a direction.
+ */
+export function decomposeLorentzTransformation(transformation) {
+    // The boost is all of the first row: B(v) starts (gamma, -gamma v), and R leaves time alone
+    const [gamma, ...row] = transformation[0];
+    const velocity = { x: -row[0] / gamma, y: -row[1] / gamma, z: -row[2] / gamma };
+    const rotation = composeLorentzTransformations(invertLorentzTransformation(createBoost(velocity)), transformation);
+
+    // Axis and angle from the space block: trace = 1 + 2 cos(angle), antisymmetric part = sin(angle) axis
+    const r = (i, j) => rotation[i + 1][j + 1];
+    const normal = { x: r(2, 1) - r(1, 2), y: r(0, 2) - r(2, 0), z: r(1, 0) - r(0, 1) };
+    const sine = Math.sqrt(dot(normal, normal)) / 2;
+    const cosine = (r(0, 0) + r(1, 1) + r(2, 2) - 1) / 2;
+    return {
+        velocity,
+        rotation: {
+            angle: Math.atan2(sine, cosine),
+            axis: sine > 1e-12 ? scaleVector(normal, 1 / (2 * sine)) : null,
+        },
+    };
+}
+
+/**
+ * Adds velocities that need not lie along one line (Einstein velocity addition, u ⊕ v).
+ * The order matters: u ⊕ v and v ⊕ u have the same speed but different directions.
+ * @param {{x: number, y: number, z: number}} u Velocity of frame S' relative to S (as v/c).
+ * @param {{x: number, y: number, z: number}} v Velocity of object A relative to S' (as v/c),
+ *   along axes of S' that are parallel to those of S as S sees them boosted.
+ * @returns {{x: number, y: number, z: number}} Velocity of object A relative to S (as v/c);
+ *   its speed is always below 1.
+ */
+export function calculateVectorVelocityAddition(u, v) {
+    // The object's four-velocity in S', taken back to S
+    const fourVelocity = boostFourVector(calculateFourVelocity(v), scaleVector(u, -1));
+    const composed = { x: fourVelocity.x, y: fourVelocity.y, z: fourVelocity.z };
+
+    // Take the speed from gamma_w = u_t, which keeps it below light speed where rounding
+    // could push the length of the spatial part above it
+    const gamma = fourVelocity.t;
+    const speed = Math.min(Math.sqrt(1 - 1 / (gamma * gamma)), 1 - Number.EPSILON);
+    const length = Math.sqrt(dot(composed, composed));
+    return length === 0 ? composed : scaleVector(composed, speed / length);
+}
+
+/**
+ * Calculates the Thomas-Wigner rotation between the two orders of composing u and v:
+ * the rotation, about an axis perpendicular to both, that turns v ⊕ u into u ⊕ v.
+ * @param {{x: number, y: number, z: number}} u First velocity (as v/c).
+ * @param {{x: number, y: number, z: number}} v Second velocity (as v/c).
+ * @returns {{angle: number, axis: ({x: number, y: number, z: number}|null),
+ *   uPlusV: {x: number, y: number, z: number}, vPlusU: {x: number, y: number, z: number}}}
+ *   Angle in radians (0 to pi), the unit rotation axis by the right-hand rule (null when the
+ *   velocities are collinear and there is no rotation), and both compositions.
+ */
+export function calculateWignerRotation(u, v) {
+    // Boosting by v and then by u reaches a frame moving at v ⊕ u, turned by the rotation
+    const { rotation } = decomposeLorentzTransformation(composeLorentzTransformations(createBoost(v), createBoost(u)));
+    return {
+        angle: rotation.angle,
+        axis: rotation.axis,
+        uPlusV: calculateVectorVelocityAddition(u, v),
+        vPlusU: calculateVectorVelocityAddition(v, u),
+    };
+}
+
+/**
+ * Calculates the relativistic (longitudinal) Doppler factor f_observed / f_emitted.
+ * @param {number} v Velocity of the source towards the observer (as v/c); negative when receding.
+ * @returns {number} Frequency ratio (> 1 is a blueshift, < 1 a redshift).
+ */
+export function calculateDopplerFactor(v) {
+    return Math.sqrt((1 + v) / (1 - v));
+}
+
+/**
+ * Calculates the proper time elapsed on a clock moving at constant velocity.
+ * @param {number} coordinateTime Time elapsed in the frame where the clock moves.
+ * @param {number} v Velocity of the clock (as v/c).
+ * @returns {number} Proper time shown by the moving clock.
+ */
+export function calculateProperTime(coordinateTime, v) {
+    return coordinateTime / calculateLorentzFactor(v);
+}
+
+/**
+ * Calculates how far a moving clock falls behind, as a fraction of the elapsed coordinate time:
+ * 1 - 1/gamma. Written as v²/(1 + sqrt(1 - v²)) so it stays accurate at everyday speeds, where
+ * 1 - 1/gamma would lose most of its digits to rounding.
+ * @param {number} v Velocity of the clock (as v/c).
+ * @returns {number} Fractional slowdown, between 0 (at rest) and 1 (at light speed).
+ */
+export function calculateTimeDilationOffset(v) {
+    const vSquared = Math.min(v * v, 1);
+    return vSquared / (1 + Math.sqrt(1 - vSquared));
+}
+
+/**
+ * Calculates the momentum and energies of a particle, all in the unit of its rest energy
+ * (e.g. MeV with momentum as pc in MeV, or joules with momentum times c in joules).
+ * @param {number} restEnergy Rest energy mc² of the particle.
+ * @param {number} v Velocity of the particle (as v/c).
+ * @returns {{gamma: number, momentum: number, totalEnergy: number, kineticEnergy: number, newtonianKineticEnergy: number}}
+ *   momentum is pc and has the sign of v; kineticEnergy is (gamma - 1) mc², computed without
+ *   cancellation so it matches the Newtonian mv²/2 at low speed.
+ */
+export function calculateEnergyMomentum(restEnergy, v) {
+    const gamma = calculateLorentzFactor(v);
+    return {
+        gamma,
+        momentum: gamma * restEnergy * v,
+        totalEnergy: gamma * restEnergy,
+        kineticEnergy: gamma * calculateTimeDilationOffset(v) * restEnergy,
+        newtonianKineticEnergy: restEnergy * v * v / 2,
+    };
+}
+
+/**
+ * Calculates the length of an object along its direction of motion.
+ * @param {number} properLength Length in the object's rest frame.
+ * @param {number} v Velocity of the object (as v/c).
+ * @returns {number} Length measured in the frame where the object moves.
+ */
+export function calculateContractedLength(properLength, v) {
+    return properLength / calculateLorentzFactor(v);
+}
+
+/**
+ * Calculates how a body moving in any direction looks at one instant of the frame where it moves:
+ * the matrix taking positions in the body's rest frame to positions seen at the same lab time.
+ * It shrinks lengths along the velocity by 1/gamma and leaves those across it alone.
+ * @param {{x: number, y: number, z: number}} velocity Velocity of the body (as v/c).
+ * @returns {number[][]} 3×3 matrix, rows ordered x, y, z.
+ */
+export function calculateContractionMatrix(velocity) {
+    // Rest-frame events (t', r') seen from the lab, with t' chosen so they share lab time t = 0
+    const toLab = invertLorentzTransformation(createBoost(velocity));
+    return [1, 2, 3].map(i => [1, 2, 3].map(j => toLab[i][j] - toLab[i][0] * toLab[0][j] / toLab[0][0]));
+}
+
+/**
+ * Computes the round trip of the twin paradox in Earth's frame (years and light-years, c = 1).
+ * The traveler cruises to the destination and back at the same speed, turning around instantly.
+ * @param {number} distance Destination distance in light-years, measured in Earth's frame.
+ * @param {number} v Cruise speed of the traveling twin (as v/c); only its magnitude matters.
+ * @returns {{
+ *   speed: number,
+ *   gamma: number,
+ *   turnaroundTime: number,
+ *   earthTime: number,
+ *   travelerTime: number,
+ *   earthTimeSeenBeforeTurnaround: number,
+ *   earthTimeSeenAfterTurnaround: number,
+ *   simultaneityJump: number
+ * }} Trip summary. Times are Infinity when the traveler never leaves (v = 0).
+ */
+export function calculateTwinParadox(distance, v) {
+    const speed = Math.abs(v);
+    const gamma = calculateLorentzFactor(speed);
+
+    const turnaroundTime = distance / speed; // Earth time when the traveler reaches the destination
+    const earthTime = 2 * turnaroundTime;
+    const travelerTime = calculateProperTime(earthTime, speed);
+
+    // Traveler's lines of simultaneity through the turnaround event (ct = turnaroundTime, x = distance)
+    // have slope +v on the way out and -v on the way back; they meet Earth's worldline (x = 0) at:
+    const earthTimeSeenBeforeTurnaround = turnaroundTime - speed * distance;
+    const earthTimeSeenAfterTurnaround = turnaroundTime + speed * distance;
+
+    return {
+        speed,
+        gamma,
+        turnaroundTime,
+        earthTime,
+        travelerTime,
+        earthTimeSeenBeforeTurnaround,
+        earthTimeSeenAfterTurnaround,
+        simultaneityJump: 2 * speed * distance,
+    };
+}
+
+/**
+ * Traces the yearly light pulses the twins send each other during the twin paradox trip
+ * (the k-calculus picture). Each twin emits one pulse per year of their own proper time.
+ * A pulse's leg is the traveler's leg at reception (Earth's pulses) or at emission (traveler's pulses).
+ * @param {number} distance Destination distance in light-years, measured in Earth's frame.
+ * @param {number} v Cruise speed of the traveling twin (as v/c); only its magnitude matters.
+ * @returns {{
+ *   earthSignals: Array<{emitTime: number, receiveTime: number, receiveX: number, leg: string}>,
+ *   travelerSignals: Array<{emitProperTime: number, emitTime: number, emitX: number, receiveTime: number, leg: string}>,
+ *   travelerReceived: {outbound: number, return: number},
+ *   earthReceived: {outbound: number, return: number},
+ *   dopplerOutbound: number,
+ *   dopplerReturn: number
+ * }} Pulse events in Earth's frame (years and light-years) and per-leg reception counts.
+ */
+export function calculateTwinSignals(distance, v) {
+    const trip = calculateTwinParadox(distance, v);
+    const { speed, gamma, turnaroundTime, earthTime, travelerTime } = trip;
+    const result = {
+        earthSignals: [],
+        travelerSignals: [],
+        travelerReceived: { outbound: 0, return: 0 },
+        earthReceived: { outbound: 0, return: 0 },
+        dopplerOutbound: calculateDopplerFactor(-speed), // Receding: pulses arrive stretched out
+        dopplerReturn: calculateDopplerFactor(speed), // Approaching: pulses arrive bunched up
+    };
+    if (!Number.isFinite(earthTime)) {
+        return result; // The traveler never leaves, so there is no exchange to trace
+    }
+
+    const tolerance = 1e-9; // Lets the pulse sent at the moment of reunion count
+
+    // Earth's pulses travel outwards (x = t - emitTime) until they catch the traveler
+    for (let emitTime = 1; emitTime <= earthTime + tolerance; emitTime++) {
+        let receiveTime = emitTime / (1 - speed);
+        let leg = 'outbound';
+        if (receiveTime > turnaroundTime + tolerance) {
+            receiveTime = (distance + speed * turnaroundTime + emitTime) / (1 + speed);
+            leg = 'return';
+        }
+        result.earthSignals.push({ emitTime, receiveTime, receiveX: receiveTime - emitTime, leg });
+        result.travelerReceived[leg]++;
+    }
+
+    // The traveler's pulses travel back towards Earth (x = emitX - (t - emitTime))
+    const turnaroundProperTime = travelerTime / 2;
+    for (let emitProperTime = 1; emitProperTime <= travelerTime + tolerance; emitProperTime++) {
+        const emitTime = emitProperTime * gamma;
+        const leg = emitProperTime <= turnaroundProperTime + tolerance ? 'outbound' : 'return';
+        const emitX = leg === 'outbound'
+            ? speed * emitTime
+            : distance - speed * (emitTime - turnaroundTime);
+        result.travelerSignals.push({ emitProperTime, emitTime, emitX, receiveTime: emitTime + emitX, leg });
+        result.earthReceived[leg]++;
+    }
+
+    return result;
+}
+
+/**
+ * Plans a rocket trip with constant proper acceleration, starting and ending at rest
+ * (years and light-years, c = 1).
+ * - 'coast': accelerate up to the cruise speed, coast, then decelerate over the same distance.
+ *   If the destination is too close to reach the cruise speed, this becomes a flip-and-burn.
+ * - 'flip': accelerate up to the midpoint, flip around and decelerate for the second half.
+ * @param {number} distance Destination distance in light-years, measured in Earth's frame.
+ * @param {number} accelerationG Proper acceleration felt on board, in units of g.
+ * @param {string} profile Flight profile: 'coast' or 'flip'.
+ * @param {number} cruiseV Cruise speed for the 'coast' profile (as v/c).
+ * @param {number} exhaustV Exhaust velocity of the engine (as v/c); 1 is a photon rocket.
+ * @returns {{
+ *   distance: number,
+ *   acceleration: number,
+ *   peakRapidity: number,
+ *   peakSpeed: number,
+ *   peakGamma: number,
+ *   burnProperTime: number,
+ *   burnTime: number,
+ *   burnDistance: number,
+ *   coastProperTime: number,
+ *   coastTime: number,
+ *   shipTime: number,
+ *   earthTime: number,
+ *   massRatio: number
+ * }} Trip plan. acceleration is in light-years per year², burn values cover one burn.
+ */
+export function calculateRocketTrip(distance, accelerationG, profile, cruiseV, exhaustV) {
+    const acceleration = accelerationG * G_SI * YEAR_SI ** 2 / LIGHT_YEAR_SI;
+
+    // A burn from rest to rapidity eta takes proper time eta/a, Earth time sinh(eta)/a
+    // and covers (cosh(eta) - 1)/a of distance.
+    const flipRapidity = Math.acosh(1 + acceleration * distance / 2);
+    const peakRapidity = profile === 'coast'
+        ? Math.min(Math.atanh(Math.min(Math.abs(cruiseV), 0.999999)), flipRapidity)
+        : flipRapidity;
+
+    const burnProperTime = peakRapidity / acceleration;
+    const burnTime = Math.sinh(peakRapidity) / acceleration;
+    const burnDistance = (Math.cosh(peakRapidity) - 1) / acceleration;
+
+    const peakSpeed = Math.tanh(peakRapidity);
+    const peakGamma = calculateLorentzFactor(peakSpeed);
+    const coastDistance = Math.max(0, distance - 2 * burnDistance);
+    const coastTime = peakSpeed > 0 ? coastDistance / peakSpeed : 0;
+    const coastProperTime = calculateProperTime(coastTime, peakSpeed);
+
+    // Relativistic rocket equation: each burn changes the rapidity by (v_exhaust/c) ln(m0/m1)
+    const massRatio = Math.exp(2 * peakRapidity / exhaustV);
+
+    return {
+        distance,
+        acceleration,
+        peakRapidity,
+        peakSpeed,
+        peakGamma,
+        burnProperTime,
+        burnTime,
+        burnDistance,
+        coastProperTime,
+        coastTime,
+        shipTime: 2 * burnProperTime + coastProperTime,
+        earthTime: 2 * burnTime + coastTime,
+        massRatio,
+    };
+}
+
+/**
+ * Finds the rocket's state at a given moment of ship (proper) time.
+ * @param {object} trip Result of calculateRocketTrip.
+ * @param {number} properTime Ship time since departure, in years.
+ * @returns {{properTime: number, time: number, x: number, rapidity: number, v: number}}
+ *   Earth time (years), distance travelled (light-years), rapidity and speed (as v/c).
+ */
+export function calculateRocketStateAt(trip, properTime) {
+    const { acceleration: a, burnProperTime, coastProperTime, shipTime, earthTime, distance } = trip;
+    const tau = Math.min(Math.max(properTime, 0), shipTime);
+    let time, x, rapidity;
+
+    if (tau < burnProperTime) {
+        // Accelerating away from Earth
+        rapidity = a * tau;
+        time = Math.sinh(rapidity) / a;
+        x = (Math.cosh(rapidity) - 1) / a;
+    } else if (tau < burnProperTime + coastProperTime) {
+        // Coasting at the peak speed
+        rapidity = trip.peakRapidity;
+        time = trip.burnTime + (tau - burnProperTime) * trip.peakGamma;
+        x = trip.burnDistance + trip.peakSpeed * (time - trip.burnTime);
+    } else {
+        // Decelerating: mirror image of the first burn, counted back from arrival
+        rapidity = a * (shipTime - tau);
+        time = earthTime - Math.sinh(rapidity) / a;
+        x = distance - (Math.cosh(rapidity) - 1) / a;
+    }
+
+    return { properTime: tau, time, x, rapidity, v: Math.tanh(rapidity) };
+}
+
+/**
+ * Calculates the invariant spacetime interval between two events.
+ * @param {{ct: number, x: number}} a First event.
+ * @param {{ct: number, x: number}} b Second event.
+ * @returns {number} Interval s² = (cΔt)² - Δx² (positive for timelike separations).
+ */
+export function calculateSpacetimeInterval(a, b) {
+    const separation = createFourVector(b.ct - a.ct, b.x - a.x);
+    return calculateMinkowskiProduct(separation, separation);
+}
+
+/**
+ * Classifies the separation between two events and finds the frames that make it simplest.
+ * @param {{ct: number, x: number}} a First event.
+ * @param {{ct: number, x: number}} b Second event.
+ * @param {number} [tolerance=1e-9] Relative tolerance for treating the interval as lightlike.
+ * @returns {{
+ *   intervalSquared: number,
+ *   type: string,
+ *   properTime: number|null,
+ *   properDistance: number|null,
+ *   isOrderFrameDependent: boolean,
+ *   simultaneityVelocity: number|null,
+ *   colocationVelocity: number|null
+ * }} type is 'timelike', 'spacelike' or 'lightlike'. properTime (timelike) and properDistance (spacelike)
+ *   are in the units of ct and x. simultaneityVelocity (spacelike) is the boost (as v/c) in which both events
+ *   happen at the same time; colocationVelocity (timelike) is the one in which they happen at the same place.
+ */
+export function classifyEventSeparation(a, b, tolerance = 1e-9) {
+    const dct = b.ct - a.ct;
+    const dx = b.x - a.x;
+    const intervalSquared = calculateSpacetimeInterval(a, b);
+    const scale = Math.max(dct ** 2, dx ** 2);
+
+    const result = {
+        intervalSquared,
+        type: 'lightlike',
+        properTime: null,
+        properDistance: null,
+        isOrderFrameDependent: false,
+        simultaneityVelocity: null,
+        colocationVelocity: null,
+    };
+
+    if (Math.abs(intervalSquared) <= tolerance * scale) {
+        return result; // On each other's light cone (or the same event): order is absolute, no frame reaches v = c
+    }
+
+    if (intervalSquared > 0) {
+        result.type = 'timelike';
+        result.properTime = Math.sqrt(intervalSquared);
+        result.colocationVelocity = dx / dct; // x' = gamma(dx - v dct) = 0
+    } else {
+        result.type = 'spacelike';
+        result.properDistance = Math.sqrt(-intervalSquared);
+        result.isOrderFrameDependent = true;
+        result.simultaneityVelocity = dct / dx; // ct' = gamma(dct - v dx) = 0
+    }
+    return result;
+}
+
+/**
+ * Builds the vertices of a piecewise-linear worldline between two times (c = 1 units).
+ * The object is at startX when ct = 0; its velocity is `velocity` until the first change,
+ * then each change's velocity from that change's ct onward.
+ * @param {number} startX Position at ct = 0.
+ * @param {number} velocity Velocity (as v/c) before the first change.
+ * @param {Array<{ct: number, velocity: number}>} changes Velocity changes, in any order.
+ * @param {number} ctMin Earliest time to include.
+ * @param {number} ctMax Latest time to include.
+ * @returns {Array<{ct: number, x: number}>} Vertices ordered by ct, including both ends.
+ */
+export function calculateWorldline(startX, velocity, changes, ctMin, ctMax) {
+    const sorted = [...changes].sort((a, b) => a.ct - b.ct);
+    const velocityAt = ct => {
+        let current = velocity;
+        for (const change of sorted) {
+            if (change.ct <= ct) current = change.velocity;
+        }
+        return current;
+    };
+
+    // ct = 0 anchors the position even when it lies outside the requested range
+    const times = [...new Set([ctMin, ctMax, 0, ...sorted.map(change => change.ct)])].sort((a, b) => a - b);
+    const xs = new Array(times.length);
+    const anchor = times.indexOf(0);
+    xs[anchor] = startX;
+    for (let i = anchor + 1; i < times.length; i++) {
+        xs[i] = xs[i - 1] + velocityAt((times[i - 1] + times[i]) / 2) * (times[i] - times[i - 1]);
+    }
+    for (let i = anchor - 1; i >= 0; i--) {
+        xs[i] = xs[i + 1] - velocityAt((times[i] + times[i + 1]) / 2) * (times[i + 1] - times[i]);
+    }
+
+    return times
+        .map((ct, i) => ({ ct, x: xs[i] }))
+        .filter(point => point.ct >= ctMin && point.ct <= ctMax);
+}
+
+/**
+ * Describes where one event lies relative to another's light cone.
+ * @param {{ct: number, x: number}} source Event whose light cone is used.
+ * @param {{ct: number, x: number}} target Event being located.
+ * @param {number} [tolerance=1e-9] Relative tolerance for treating the separation as lightlike.
+ * @returns {string} 'timelike-future', 'timelike-past', 'lightlike-future', 'lightlike-past',
+ *   'spacelike' (outside the cone: no causal connection) or 'coincident'.
+ */
+export function calculateCausalRelation(source, target, tolerance = 1e-9) {
+    const dct = target.ct - source.ct;
+    const dx = target.x - source.x;
+    if (Math.max(Math.abs(dct), Math.abs(dx)) <= tolerance) {
+        return 'coincident';
+    }
+    const { type } = classifyEventSeparation(source, target, tolerance);
+    if (type === 'spacelike') {
+        return 'spacelike';
+    }
+    return `${type}-${dct > 0 ? 'future' : 'past'}`;
+}
+
+/**
+ * Works out the ladder (barn-pole) paradox. A pole moves at speed v through a barn whose
+ * entrance is at x = 0 and whose exit is at x = barnLength. In the barn frame both doors shut
+ * for an instant at ct = 0, when the pole's center passes the barn's center; that event at the
+ * entrance is also the origin of the pole frame. Lengths and ct share one unit (c = 1).
+ * @param {number} poleLength Proper length of the pole.
+ * @param {number} barnLength Proper length of the barn.
+ * @param {number} v Speed of the pole through the barn (as v/c); only its magnitude matters.
+ * @returns {{
+ *   speed: number,
+ *   gamma: number,
+ *   poleLengthInBarnFrame: number,
+ *   barnLengthInPoleFrame: number,
+ *   fitsInBarnFrame: boolean,
+ *   fitsInPoleFrame: boolean,
+ *   entranceClosing: {barn: {ct: number, x: number}, pole: {ct: number, x: number}},
+ *   exitClosing: {barn: {ct: number, x: number}, pole: {ct: number, x: number}},
+ *   poleRearAtStart: number,
+ *   poleFrontAtStart: number
+ * }} Both door closings in both frames, and where the pole's ends are in the barn frame at ct = 0.
+ *   fitsInBarnFrame also says whether each door shuts behind or ahead of the pole rather than on it.
+ *   Those are events, so the pole frame agrees on them even though fitsInPoleFrame is false there.
+ */
+export function calculateLadderParadox(poleLength, barnLength, v) {
+    const speed = Math.abs(v);
+    const gamma = calculateLorentzFactor(speed);
+    const poleLengthInBarnFrame = calculateContractedLength(poleLength, speed);
+    const barnLengthInPoleFrame = calculateContractedLength(barnLength, speed);
+
+    const toPoleFrame = (event) => {
+        const { tPrime, xPrime } = lorentzTransform(event.ct, event.x, speed);
+        return { ct: tPrime, x: xPrime };
+    };
+    const entrance = { ct: 0, x: 0 };
+    const exit = { ct: 0, x: barnLength };
+
+    return {
+        speed,
+        gamma,
+        poleLengthInBarnFrame,
+        barnLengthInPoleFrame,
+        fitsInBarnFrame: poleLengthInBarnFrame <= barnLength,
+        fitsInPoleFrame: poleLength <= barnLengthInPoleFrame,
+        entranceClosing: { barn: entrance, pole: toPoleFrame(entrance) },
+        exitClosing: { barn: exit, pole: toPoleFrame(exit) },
+        poleRearAtStart: (barnLength - poleLengthInBarnFrame) / 2,
+        poleFrontAtStart: (barnLength + poleLengthInBarnFrame) / 2,
+    };
+}
+
+/**
+ * Works out the atmospheric muon experiment. Muons made at the given altitude fly straight
+ * down at speed v, and the fraction still undecayed at the ground is e^(-t/τ) for the flight
+ * time t. Classically t is the flight time Earth measures. Relativistically Earth sees the
+ * muon's lifetime dilated to γτ, while the muon sees the atmosphere contracted to H/γ; both
+ * give the same answer.
+ * @param {number} altitude Production altitude above the ground in meters, in Earth's frame.
+ * @param {number} v Speed of the muons (as v/c); only its magnitude matters.
+ * @param {number} meanLifetime Mean lifetime of a muon at rest, in seconds.
+ * @returns {{
+ *   speed: number,
+ *   gamma: number,
+ *   flightTime: number,
+ *   dilatedLifetime: number,
+ *   contractedAltitude: number,
+ *   properFlightTime: number,
+ *   classicalSurvival: number,
+ *   earthFrameSurvival: number,
+ *   muonFrameSurvival: number
+ * }} Times in seconds and lengths in meters; the survival values are fractions of the muons made.
+ */
+export function calculateMuonDecay(altitude, v, meanLifetime) {
+    const speed = Math.abs(v);
+    const gamma = calculateLorentzFactor(speed);
+    const flightTime = altitude / (speed * C_SI);
+    const dilatedLifetime = gamma * meanLifetime;
+    const contractedAltitude = calculateContractedLength(altitude, speed);
+    const properFlightTime = contractedAltitude / (speed * C_SI);
+
+    return {
+        speed,
+        gamma,
+        flightTime,
+        dilatedLifetime,
+        contractedAltitude,
+        properFlightTime,
+        classicalSurvival: Math.exp(-flightTime / meanLifetime),
+        earthFrameSurvival: Math.exp(-flightTime / dilatedLifetime),
+        muonFrameSurvival: Math.exp(-properFlightTime / meanLifetime),
+    };
+}
+
+/**
+ * Draws random lifetimes for a batch of unstable particles (exponential decay).
+ * @param {number} count Number of particles.
+ * @param {number} meanLifetime Mean lifetime at rest.
+ * @param {function(): number} [random=Math.random] Source of uniform numbers in [0, 1).
+ * @returns {number[]} Rest-frame lifetimes, in the unit of meanLifetime.
+ */
+export function sampleDecayLifetimes(count, meanLifetime, random = Math.random) {
+    return Array.from({ length: count }, () => -meanLifetime * Math.log(1 - random()));
+}
+
+// --- Four-momentum kinematics: energies, momenta and masses in one unit (e.g. MeV), c = 1 ---
+
+// Four-momenta keep their {E, px, py, pz} names; the four-vector functions see them as {t, x, y, z}
+function toFourVector({ E, px, py, pz }) {
+    return createFourVector(E, px, py, pz);
+}
+
+/**
+ * Builds the four-momentum of a particle from its mass and momentum.
+ * @param {number} mass Rest mass (as rest energy).
+ * @param {{x: number, y: number, z: number}} momentum Momentum (as pc).
+ * @returns {{E: number, px: number, py: number, pz: number}} Energy and momentum components.
+ */
+export function calculateFourMomentum(mass, momentum) {
+    return {
+        E: Math.sqrt(mass * mass + dot(momentum, momentum)),
+        px: momentum.x,
+        py: momentum.y,
+        pz: momentum.z,
+    };
+}
+
+/**
+ * Calculates the invariant mass of a four-momentum, the same in every frame.
+ * @param {{E: number, px: number, py: number, pz: number}} fourMomentum Four-momentum.
+ * @returns {number} sqrt(E² - p²); zero for lightlike (or, through rounding, slightly spacelike) ones.
+ */
+export function calculateInvariantMass(fourMomentum) {
+    const p = toFourVector(fourMomentum);
+    return Math.sqrt(Math.max(calculateMinkowskiProduct(p, p), 0));
+}
+
+/**
+ * Transforms a four-momentum into a frame moving at the given velocity, in any direction (see boostFourVector).
+ * Energy and the momentum along the velocity transform like ct and x in lorentzTransform;
+ * the momentum across it is unchanged.
+ * @param {{E: number, px: number, py: number, pz: number}} fourMomentum Four-momentum in the original frame.
+ * @param {{x: number, y: number, z: number}} velocity Velocity of the new frame (as v/c).
+ * @returns {{E: number, px: number, py: number, pz: number}} Four-momentum in the new frame.
+ */
+export function transformFourMomentum(fourMomentum, velocity) {
+    const { t, x, y, z } = boostFourVector(toFourVector(fourMomentum), velocity);
+    return { E: t, px: x, py: y, pz: z };
+}
+
+/**
+ * Works out the kinematics of a set of incoming particles.
+ * @param {Array<{mass: number, momentum: {x: number, y: number, z: number}}>} particles
+ *   Incoming particles with their momenta in the lab frame.
+ * @returns {{
+ *   fourMomenta: Array<{E: number, px: number, py: number, pz: number}>,
+ *   total: {E: number, px: number, py: number, pz: number},
+ *   invariantMass: number,
+ *   cmVelocity: {x: number, y: number, z: number},
+ *   cmFourMomenta: (Array<{E: number, px: number, py: number, pz: number}>|null)
+ * }} Each particle's four-momentum and their sum in the lab frame, the invariant mass sqrt(s),
+ *   the velocity of the center-of-momentum frame (total p / total E), and each particle's
+ *   four-momentum in that frame. cmFourMomenta is null when there is no such frame: no particles,
+ *   or massless ones all moving the same way.
+ */
+export function calculateCollisionKinematics(particles) {
+    const fourMomenta = particles.map(particle => calculateFourMomentum(particle.mass, particle.momentum));
+    const total = fourMomenta.reduce(
+        (sum, p) => ({ E: sum.E + p.E, px: sum.px + p.px, py: sum.py + p.py, pz: sum.pz + p.pz }),
+        { E: 0, px: 0, py: 0, pz: 0 },
+    );
+    const invariantMass = calculateInvariantMass(total);
+    const hasRestFrame = invariantMass > 1e-12 * total.E;
+    const cmVelocity = total.E > 0
+        ? { x: total.px / total.E, y: total.py / total.E, z: total.pz / total.E }
+        : { x: 0, y: 0, z: 0 };
+    return {
+        fourMomenta,
+        total,
+        invariantMass,
+        cmVelocity,
+        cmFourMomenta: hasRestFrame ? fourMomenta.map(p => transformFourMomentum(p, cmVelocity)) : null,
+    };
+}
+
+/**
+ * Works out a two-body decay M → m1 + m2 in the rest frame of the parent.
+ * @param {number} parentMass Mass of the decaying particle.
+ * @param {number} mass1 Mass of the first product.
+ * @param {number} mass2 Mass of the second product.
+ * @returns {({energy1: number, energy2: number, momentum: number, kineticEnergy1: number, kineticEnergy2: number}|null)}
+ *   Total and kinetic energy of each product and the momentum they share (back to back), or null
+ *   when the products are heavier than the parent and the decay cannot happen.
+ */
+export function calculateTwoBodyDecay(parentMass, mass1, mass2) {
+    if (parentMass <= 0 || parentMass < mass1 + mass2) {
+        return null;
+    }
+    const energy1 = (parentMass ** 2 + mass1 ** 2 - mass2 ** 2) / (2 * parentMass);
+    const energy2 = (parentMass ** 2 + mass2 ** 2 - mass1 ** 2) / (2 * parentMass);
+    // Källén function lambda(M², m1², m2²) = (M² - (m1 + m2)²)(M² - (m1 - m2)²)
+    const lambda = (parentMass ** 2 - (mass1 + mass2) ** 2) * (parentMass ** 2 - (mass1 - mass2) ** 2);
+    return {
+        energy1,
+        energy2,
+        momentum: Math.sqrt(Math.max(lambda, 0)) / (2 * parentMass),
+        kineticEnergy1: energy1 - mass1,
+        kineticEnergy2: energy2 - mass2,
+    };
+}
+
+/**
+ * Calculates the threshold for a beam hitting a target at rest to make a given final state,
+ * e.g. p + p → p + p + p + p̄. At threshold the products are at rest in the center-of-momentum
+ * frame, so sqrt(s) equals the sum of their masses.
+ * @param {number} beamMass Mass of the beam particle.
+ * @param {number} targetMass Mass of the target particle, at rest in the lab.
+ * @param {number[]} finalMasses Masses of every particle in the final state.
+ * @returns {{invariantMass: number, totalEnergy: number, kineticEnergy: number, momentum: number}}
+ *   The sqrt(s) needed and the beam's lab energy, kinetic energy and momentum at threshold. When
+ *   the final state is no heavier than the initial one the threshold is a beam at rest.
+ */
+export function calculateThresholdEnergy(beamMass, targetMass, finalMasses) {
+    const invariantMass = finalMasses.reduce((sum, m) => sum + m, 0);
+    // s = m_beam² + m_target² + 2 E_beam m_target for a target at rest
+    const totalEnergy = Math.max((invariantMass ** 2 - beamMass ** 2 - targetMass ** 2) / (2 * targetMass), beamMass);
+    return {
+        invariantMass: Math.max(invariantMass, beamMass + targetMass),
+        totalEnergy,
+        kineticEnergy: totalEnergy - beamMass,
+        momentum: Math.sqrt(Math.max(totalEnergy ** 2 - beamMass ** 2, 0)),
+    };
+}
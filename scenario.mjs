@@ -0,0 +1,253 @@
+// Spacetime diagram scenarios as versioned JSON documents.
+// Pure functions only, like physics.mjs: the page builds the state object and applies the
+// parsed result, so the same validation runs in the browser, in Node scripts and in graders.
+//
+// Version 1 document:
+// {
+//   "format": "relativity-spacetime-scenario",
+//   "version": 1,
+//   "units": "natural" | "SI",
+//   "velocity": 0.6,                       // Moving observer, as v/c
+//   "viewFrame": "stationary",             // Id of the frame drawn with orthogonal axes
+//   "frames": [{ "id", "name", "color", "showGrid", "velocity" }],   // velocity only for added frames
+//   "events": [{ "label", "color", "ct", "x" }],                      // Stationary-frame coordinates
+//   "worldlines": [{ "label", "color", "x", "velocity", "changes": [{ "ct", "velocity" }] }],
+//   "view": { "centerX", "centerCt", "zoom" }
+// }
+// Only "format", "version" and "velocity" are required; everything else has a default.
+
+export const SCENARIO_FORMAT = 'relativity-spacetime-scenario';
+export const SCENARIO_VERSION = 1;
+
+const BUILT_IN_FRAME_IDS = ['stationary', 'moving'];
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Raised when a scenario document cannot be loaded. The message names the offending field.
+ */
+export class ScenarioError extends Error {
+    /**
+     * @param {string} message Human-readable description of the problem.
+     * @param {string} [path] Location of the problem in the document, e.g. "events[2].ct".
+     */
+    constructor(message, path = '') {
+        super(path ? `${path}: ${message}` : message);
+        this.name = 'ScenarioError';
+        this.path = path;
+    }
+}
+
+// --- Field readers: each returns the value or throws a ScenarioError naming the path ---
+
+function readObject(value, path) {
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        throw new ScenarioError('must be an object', path);
+    }
+    return value;
+}
+
+function readArray(value, path) {
+    if (!Array.isArray(value)) {
+        throw new ScenarioError('must be an array', path);
+    }
+    return value;
+}
+
+function readNumber(value, path) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new ScenarioError('must be a finite number', path);
+    }
+    return value;
+}
+
+function readVelocity(value, path) {
+    readNumber(value, path);
+    if (Math.abs(value) >= 1) {
+        throw new ScenarioError(`must be slower than light (|v| < 1), got ${value}`, path);
+    }
+    return value;
+}
+
+function readString(value, path) {
+    if (typeof value !== 'string') {
+        throw new ScenarioError('must be a string', path);
+    }
+    return value;
+}
+
+function readColor(value, path) {
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+        throw new ScenarioError('must be a color written as "#rrggbb"', path);
+    }
+    return value.toLowerCase();
+}
+
+function readBoolean(value, path) {
+    if (typeof value !== 'boolean') {
+        throw new ScenarioError('must be true or false', path);
+    }
+    return value;
+}
+
+// Reads an optional field, falling back to a default when it is absent
+function optional(object, key, path, reader, fallback) {
+    return object[key] === undefined ? fallback : reader(object[key], path ? `${path}.${key}` : key);
+}
+
+function readFrame(value, path) {
+    const frame = readObject(value, path);
+    const id = readString(frame.id, `${path}.id`);
+    if (id === '') {
+        throw new ScenarioError('must not be empty', `${path}.id`);
+    }
+    const isBuiltIn = BUILT_IN_FRAME_IDS.includes(id);
+    if (isBuiltIn && frame.velocity !== undefined) {
+        throw new ScenarioError(
+            `is not allowed on the "${id}" frame (the stationary frame is at rest and the moving frame uses the top-level velocity)`,
+            `${path}.velocity`,
+        );
+    }
+    return {
+        id,
+        name: optional(frame, 'name', path, readString, undefined),
+        color: optional(frame, 'color', path, readColor, undefined),
+        showGrid: optional(frame, 'showGrid', path, readBoolean, undefined),
+        velocity: isBuiltIn ? undefined : readVelocity(frame.velocity, `${path}.velocity`),
+    };
+}
+
+function readEvent(value, path) {
+    const event = readObject(value, path);
+    return {
+        ct: readNumber(event.ct, `${path}.ct`),
+        x: readNumber(event.x, `${path}.x`),
+        label: optional(event, 'label', path, readString, undefined),
+        color: optional(event, 'color', path, readColor, undefined),
+    };
+}
+
+function readWorldline(value, path) {
+    const worldline = readObject(value, path);
+    const changes = optional(worldline, 'changes', path, readArray, []);
+    return {
+        label: optional(worldline, 'label', path, readString, undefined),
+        color: optional(worldline, 'color', path, readColor, undefined),
+        x: readNumber(worldline.x, `${path}.x`),
+        velocity: readVelocity(worldline.velocity, `${path}.velocity`),
+        changes: changes.map((change, i) => {
+            const changePath = `${path}.changes[${i}]`;
+            readObject(change, changePath);
+            return {
+                ct: readNumber(change.ct, `${changePath}.ct`),
+                velocity: readVelocity(change.velocity, `${changePath}.velocity`),
+            };
+        }),
+    };
+}
+
+function readView(value, path) {
+    const view = readObject(value, path);
+    const zoom = readNumber(view.zoom, `${path}.zoom`);
+    if (zoom <= 0) {
+        throw new ScenarioError('must be greater than zero', `${path}.zoom`);
+    }
+    return {
+        centerX: readNumber(view.centerX, `${path}.centerX`),
+        centerCt: readNumber(view.centerCt, `${path}.centerCt`),
+        zoom,
+    };
+}
+
+/**
+ * Builds a version 1 scenario document from the diagram state.
+ * @param {object} state Diagram state: {units, velocity, viewFrame, frames, events, worldlines, view}.
+ *   Extra properties on frames, events and worldlines (ids, animation state) are dropped.
+ * @returns {string} Pretty-printed JSON.
+ */
+export function serializeScenario(state) {
+    const document = {
+        format: SCENARIO_FORMAT,
+        version: SCENARIO_VERSION,
+        units: state.units === 'SI' ? 'SI' : 'natural',
+        velocity: state.velocity,
+        viewFrame: state.viewFrame,
+        frames: state.frames.map(frame => {
+            const entry = { id: frame.id, name: frame.name, color: frame.color, showGrid: frame.showGrid };
+            if (!BUILT_IN_FRAME_IDS.includes(frame.id)) {
+                entry.velocity = frame.velocity;
+            }
+            return entry;
+        }),
+        events: state.events.map(({ label, color, ct, x }) => ({ label, color, ct, x })),
+        worldlines: state.worldlines.map(({ label, color, x, velocity, changes }) => ({
+            label,
+            color,
+            x,
+            velocity,
+            changes: changes.map(({ ct, velocity: v }) => ({ ct, velocity: v })),
+        })),
+    };
+    if (state.view) {
+        const { centerX, centerCt, zoom } = state.view;
+        document.view = { centerX, centerCt, zoom };
+    }
+    return JSON.stringify(document, null, 2);
+}
+
+/**
+ * Parses and validates a scenario document.
+ * Optional fields left out of the file come back as undefined (per-item fields) or
+ * their documented defaults, so the caller decides how to fill them in.
+ * @param {string} text JSON text of the document.
+ * @returns {object} Validated scenario: {version, units, velocity, viewFrame, frames, events, worldlines, view}.
+ * @throws {ScenarioError} If the text is not JSON or does not match the schema.
+ */
+export function parseScenario(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new ScenarioError(`The file is not valid JSON (${err.message})`);
+    }
+    if (data === null || typeof data !== 'object' || Array.isArray(data) || data.format !== SCENARIO_FORMAT) {
+        throw new ScenarioError(`This is not a spacetime scenario (expected "format": "${SCENARIO_FORMAT}")`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new ScenarioError('must be a positive whole number', 'version');
+    }
+    if (data.version > SCENARIO_VERSION) {
+        throw new ScenarioError(
+            `Scenario version ${data.version} is newer than this page supports (up to version ${SCENARIO_VERSION})`,
+        );
+    }
+
+    const units = data.units === undefined ? 'natural' : data.units;
+    if (units !== 'natural' && units !== 'SI') {
+        throw new ScenarioError('must be "natural" or "SI"', 'units');
+    }
+
+    const frames = optional(data, 'frames', '', readArray, []).map((frame, i) => readFrame(frame, `frames[${i}]`));
+    const frameIds = new Set();
+    frames.forEach((frame, i) => {
+        if (frameIds.has(frame.id)) {
+            throw new ScenarioError(`duplicates the id "${frame.id}"`, `frames[${i}].id`);
+        }
+        frameIds.add(frame.id);
+    });
+
+    const viewFrame = data.viewFrame === undefined ? 'stationary' : readString(data.viewFrame, 'viewFrame');
+    if (!BUILT_IN_FRAME_IDS.includes(viewFrame) && !frameIds.has(viewFrame)) {
+        throw new ScenarioError(`refers to an unknown frame "${viewFrame}"`, 'viewFrame');
+    }
+
+    return {
+        version: data.version,
+        units,
+        velocity: readVelocity(data.velocity, 'velocity'),
+        viewFrame,
+        frames,
+        events: optional(data, 'events', '', readArray, []).map((event, i) => readEvent(event, `events[${i}]`)),
+        worldlines: optional(data, 'worldlines', '', readArray, []).map((w, i) => readWorldline(w, `worldlines[${i}]`)),
+        view: data.view === undefined ? null : readView(data.view, 'view'),
+    };
+}
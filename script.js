@@ -1,8 +1,40 @@
+import {
+    C_SI,
+    LIGHT_YEAR_SI,
+    YEAR_SI,
+    G_SI,
+    ELECTRON_VOLT_SI,
+    calculateLorentzFactor,
+    lorentzTransform,
+    inverseLorentzTransform,
+    classifyEventSeparation,
+    calculateWorldline,
+    calculateCausalRelation,
+    calculateProperTime,
+    calculateTimeDilationOffset,
+    calculateEnergyMomentum,
+    calculateContractedLength,
+    calculateLadderParadox,
+    calculateMuonDecay,
+    sampleDecayLifetimes,
+    calculateRelativisticVelocityAddition,
+    calculateWignerRotation,
+    calculateBoostChain,
+    calculateDopplerFactor,
+    calculateTwinParadox,
+    calculateTwinSignals,
+    calculateRocketTrip,
+    calculateRocketStateAt,
+    calculateCollisionKinematics,
+    calculateTwoBodyDecay,
+    calculateThresholdEnergy,
+    calculateContractionMatrix,
+} from './physics.mjs';
+import { ScenarioError, serializeScenario, parseScenario } from './scenario.mjs';
+import { encodeAppHash, decodeAppHash } from './deeplink.mjs';
+
 // Constants (speed of light is assumed to be 1 for calculations of v/c by default)
 const C_norm = 1; // Represents speed of light for fractional velocity calculations (c-units)
-const C_SI = 299792458; // Speed of light in meters per second (SI units)
-
-let C = C_norm
 
 let isSIUnits = false; // Flag to track if SI units are active
 let isFormulasVisible = false;
@@ -32,30 +64,27 @@ function safeParseFloat(value, defaultValue = 0) {
 }
 
 /**
- * Robust Lorentz Factor Calculation
- * @param {number} v Velocity of the new frame relative to the original (as v/c).
- * @returns {{tPrime: number, xPrime: number}} Transformed coordinates.
+ * Picks a "nice" tick spacing (1, 2 or 5 times a power of ten) so that a range gets at most maxTicks ticks.
+ * @param {number} range Length of the range to cover.
+ * @param {number} [maxTicks=10] Maximum number of ticks.
+ * @returns {number} Tick spacing.
  */
-function calculateLorentzFactor(v) {
-    try {
-        const effective_v_over_c = safeParseFloat(v);
-
-        if (Math.abs(effective_v_over_c) >= 1) {
-            console.warn(`Velocity (v=${effective_v}) reaches light speed`);
-            return Infinity;
-        }
-
-        const denominator = Math.sqrt(1 - (effective_v_over_c ** 2));
-        if (denominator < 1e-9) {
-            console.warn("Extreme velocity - precision limit reached");
-            return Infinity;
-        }
+function niceTickStep(range, maxTicks = 10) {
+    const rough = range / maxTicks;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const residual = rough / magnitude;
+    const nice = residual <= 1 ? 1 : residual <= 2 ? 2 : residual <= 5 ? 5 : 10;
+    return nice * magnitude;
+}
 
-        return 1 / denominator;
-    } catch (err) {
-        console.error("Lorentz factor calculation error:", err);
-        return 1; // Fallback to no dilation
-    }
+/**
+ * Formats a tick value with just enough decimals for its tick spacing.
+ * @param {number} value Tick value.
+ * @param {number} step Tick spacing from niceTickStep.
+ * @returns {string} Label text.
+ */
+function formatTick(value, step) {
+    return value.toFixed(Math.max(0, -Math.floor(Math.log10(step))));
 }
 
 // Throttled Velocity Updates
@@ -128,24 +157,6 @@ document.addEventListener('DOMContentLoaded', () => {
     }    
 });
 
-/**
- * Performs Lorentz Transformation for an event (t, x) to a new frame moving at velocity v.
- * @param {number} t Time coordinate in original frame.
- * @param {number} x Space coordinate in original frame.
- * @param {number} v Velocity of the new frame relative to the original (as v/c).
- * @returns {{tPrime: number, xPrime: number}} Transformed coordinates.
- */
-function lorentzTransform(t, x, v) {
-    const gamma = calculateLorentzFactor(v);
-    const v_over_c = v / C;
-
-    // Time transformation (include c² term in SI units)
-    const tPrime = gamma * (t - (v_over_c * x) / C);
-    // Space transformation
-    const xPrime = gamma * (x - v_over_c * (C * t));
-    return { tPrime, xPrime };
-}
-
 // --- Global Controls ---
 const globalVelocityInput = document.getElementById('global-velocity');
 const globalVelocityDisplay = document.getElementById('global-velocity-display');
@@ -171,9 +182,11 @@ function updateAllVelocities(v) {
     velocityTimeInput.value = v;
     velocityLengthInput.value = v;
     velocitySpacetimeInput.value = v; // Spacetime can be negative
+    exactSpacetimeVelocity = null;
     twinVelocityInput.value = v;
     length3DVelocityInput.value = v;
     dopplerVelocityInput.value = v;
+    energyVelocityInput.value = v;
 
     // Trigger updates for each section
     updateTimeDilationClocks();
@@ -187,14 +200,7 @@ function updateAllVelocities(v) {
 
     update3DLengthContraction(v);
     updateDopplerEffect(v);
-
-    // Update 3D plot
-    if (cube) {
-        const gamma = calculateLorentzFactor(v);
-        cube.scale.x = 1 / gamma; // Length contraction along motion axis
-        cube.scale.y = 1;         // No contraction perpendicular
-        cube.scale.z = 1;         // No contraction perpendicular
-    }
+    updateEnergyMomentum();
 
     globalVelocityInput.isGlobalUpdate = false;
 }
@@ -217,7 +223,7 @@ formulaToggle.addEventListener('change', () => {
             display.classList.add('hidden');
         }
         // Re-render MathJax if formulas are shown (needed for initial load or new formulas)
-        if (isFormulasVisible) {
+        if (isFormulasVisible && typeof MathJax !== 'undefined') {
             MathJax.typesetPromise([display]).catch((err) => console.log('MathJax Error:', err));
         }
     });
@@ -227,43 +233,142 @@ formulaToggle.addEventListener('change', () => {
 unitsToggle.addEventListener('change', () => {
     isSIUnits = unitsToggle.checked;
     if (isSIUnits) {
-        C = C_SI;
-        // Adjust velocity displays to show actual m/s if desired, or keep as v/c for simplicity
-        // For now, we'll keep v/c for consistency in the input range, but the 'c' will represent C_SI
+        // Velocities stay v/c on the sliders; only the displays switch to m/s
         globalVelocityDisplay.textContent = `${(parseFloat(globalVelocityInput.value) * C_SI).toExponential(2)} m/s`;
         velocityTimeDisplay.textContent = `${(parseFloat(velocityTimeInput.value) * C_SI).toExponential(2)} m/s`;
         velocityLengthDisplay.textContent = `${(parseFloat(velocityLengthInput.value) * C_SI).toExponential(2)} m/s`;
         velocitySpacetimeDisplay.textContent = `${(parseFloat(velocitySpacetimeInput.value) * C_SI).toExponential(2)} m/s`;
-        velocityV1Display.textContent = `${(parseFloat(velocityV1Input.value) * C_SI).toExponential(2)} m/s`;
-        velocityV2Display.textContent = `${(parseFloat(velocityV2Input.value) * C_SI).toExponential(2)} m/s`;
-        resultantVelocityDisplay.textContent = `${(parseFloat(resultantVelocityDisplay.textContent) * C_SI).toExponential(2)} m/s`;
         twinVelocityDisplay.textContent = `${(parseFloat(twinVelocityInput.value) * C_SI).toExponential(2)} m/s`;
+        twinDistanceDisplay.textContent = `${(parseFloat(twinDistanceInput.value) * LIGHT_YEAR_SI).toExponential(2)} m`;
 
         // Update fixed values like "100 units" to meters for length contraction
         document.querySelector('.ruler-container p').textContent = `Original Length ($L_0$): 100 meters`;
         document.querySelector('#contracted-length-display').textContent = `${(originalLength / calculateLorentzFactor(parseFloat(velocityLengthInput.value))).toFixed(2)} meters`;
 
     } else {
-        C = C_norm;
         globalVelocityDisplay.textContent = `${parseFloat(globalVelocityInput.value).toFixed(3)}c`;
         velocityTimeDisplay.textContent = `${parseFloat(velocityTimeInput.value).toFixed(3)}c`;
         velocityLengthDisplay.textContent = `${parseFloat(velocityLengthInput.value).toFixed(3)}c`;
         velocitySpacetimeDisplay.textContent = `${parseFloat(velocitySpacetimeInput.value).toFixed(3)}c`;
-        velocityV1Display.textContent = `${parseFloat(velocityV1Input.value).toFixed(3)}c`;
-        velocityV2Display.textContent = `${parseFloat(velocityV2Input.value).toFixed(3)}c`;
-        resultantVelocityDisplay.textContent = `${(parseFloat(resultantVelocityDisplay.textContent.replace(' m/s', '')) / C_SI).toFixed(3)}c`; // Convert back to v/c
         twinVelocityDisplay.textContent = `${parseFloat(twinVelocityInput.value).toFixed(3)}c`;
+        twinDistanceDisplay.textContent = `${parseFloat(twinDistanceInput.value).toFixed(1)} ly`;
 
         // Update fixed values back to "units"
         document.querySelector('.ruler-container p').textContent = `Original Length ($L_0$): 100 units`;
         document.querySelector('#contracted-length-display').textContent = `${(originalLength / calculateLorentzFactor(parseFloat(velocityLengthInput.value))).toFixed(2)} units`;
     }
+    // Sections with their own unit-dependent readouts
+    updateLadderParadox();
+    updateMuonDecay();
+    updateGpsDrift();
+    updateVelocityAddition();
+    updateEnergyMomentum();
+    updateRocketPlanner();
+
     // Re-render formulas if visible
-    if (isFormulasVisible) {
+    if (isFormulasVisible && typeof MathJax !== 'undefined') {
         formulaDisplays.forEach(display => MathJax.typesetPromise([display]));
     }
 });
 
+// --- Shareable links ---
+// The URL hash mirrors the page state (see deeplink.mjs), so the address bar always holds
+// a link to the exact configuration on screen.
+
+// Sliders that always follow the global velocity; the link stores that velocity once instead
+const velocityLinkedSliderIds = [
+    'global-velocity', 'velocity-time', 'velocity-length', 'velocity-spacetime',
+    'twin-velocity', 'length-3d-velocity', 'doppler-velocity', 'energy-velocity',
+];
+let linkUpdateTimer = null;
+
+// Section radio groups; the frame table's View radios are stored as the spacetime frame
+function sectionRadios() {
+    return [...document.querySelectorAll('input[type="radio"]')].filter(radio => !frameTableBody.contains(radio));
+}
+
+/**
+ * Collects the state a shared link restores, in the shape encodeAppHash expects.
+ * @returns {object} Page state.
+ */
+function getAppLinkState() {
+    const sliders = {};
+    document.querySelectorAll('input[type="range"]').forEach(slider => {
+        if (!velocityLinkedSliderIds.includes(slider.id)) sliders[slider.id] = parseFloat(slider.value);
+    });
+    const choices = {};
+    sectionRadios().filter(radio => radio.checked).forEach(radio => {
+        choices[radio.name] = radio.value;
+    });
+    // Added frames are numbered by their place in the table, as restoreFrames will number them
+    const viewIndex = frames.indexOf(getActiveFrame());
+    return {
+        velocity: parseFloat(globalVelocityInput.value),
+        units: isSIUnits ? 'SI' : 'natural',
+        formulas: isFormulasVisible,
+        sliders,
+        choices,
+        viewFrame: viewIndex < 2 ? frames[viewIndex].id : `frame-${viewIndex + 1}`,
+        frames: frames.slice(2),
+        events,
+    };
+}
+
+/**
+ * Applies the parts of the page state a link specifies, leaving everything else as it is.
+ * @param {object} state Result of decodeAppHash.
+ */
+function applyAppLinkState(state) {
+    if (state.units !== undefined && (state.units === 'SI') !== unitsToggle.checked) {
+        unitsToggle.checked = state.units === 'SI';
+        unitsToggle.dispatchEvent(new Event('change'));
+    }
+    if (state.formulas !== undefined && state.formulas !== formulaToggle.checked) {
+        formulaToggle.checked = state.formulas;
+        formulaToggle.dispatchEvent(new Event('change'));
+    }
+    Object.entries(state.sliders).forEach(([id, value]) => {
+        const slider = document.getElementById(id);
+        if (!slider || slider.type !== 'range' || velocityLinkedSliderIds.includes(id)) return;
+        slider.value = value;
+        slider.dispatchEvent(new Event('input'));
+    });
+    Object.entries(state.choices).forEach(([name, value]) => {
+        const radio = sectionRadios().find(r => r.name === name && r.value === value);
+        if (radio && !radio.checked) {
+            radio.checked = true;
+            radio.dispatchEvent(new Event('change'));
+        }
+    });
+    if (state.events) {
+        restoreFrames(state.frames, state.viewFrame);
+        restoreEvents(state.events);
+        renderFrameTable();
+        renderEventTable();
+    }
+    if (state.velocity !== undefined) {
+        updateAllVelocities(state.velocity);
+    }
+}
+
+/**
+ * Rewrites the URL hash shortly after the state changes. Replacing the history entry
+ * instead of pushing one keeps slider drags from flooding the back button.
+ */
+function scheduleLinkUpdate() {
+    if (linkUpdateTimer !== null) return;
+    linkUpdateTimer = setTimeout(() => {
+        linkUpdateTimer = null;
+        const hash = `#${encodeAppHash(getAppLinkState())}`;
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', hash);
+        }
+    }, 250);
+}
+
+document.addEventListener('input', scheduleLinkUpdate);
+document.addEventListener('change', scheduleLinkUpdate);
+
 // --- Time Dilation Logic ---
 const velocityTimeInput = document.getElementById('velocity-time');
 const velocityTimeDisplay = document.getElementById('velocity-time-display');
@@ -272,19 +377,33 @@ const movingTimeDisplay = document.getElementById('moving-time');
 const lorentzFactorTimeDisplay = document.getElementById('lorentz-factor-time');
 const playPauseTimeBtn = document.getElementById('play-pause-time');
 const resetTimeBtn = document.getElementById('reset-time');
-const stationaryClockParticle = document.querySelector('.stationary-clock');
-const movingClockParticle = document.querySelector('.moving-clock');
-
+const lightClockCanvasContainer = document.getElementById('light-clock-canvas-container');
+const lightClockPovToggle = document.getElementById('light-clock-pov-toggle');
+const timeScaleSelect = document.getElementById('time-scale-select');
+const stationaryTimeUnitDisplay = document.getElementById('stationary-time-unit');
+const movingTimeUnitDisplay = document.getElementById('moving-time-unit');
+
+// Time in the frame the clocks are viewed from, and on the clock moving in that frame. From the
+// stationary observer's point of view these are the stationary and moving clocks' readings;
+// from the moving observer's point of view the two clocks swap roles. Both are in seconds.
 let stationaryTime = 0;
 let movingTime = 0;
 let animationFrameId; // To manage the animation loop for time dilation
+let lastClockTimestamp = null; // Time of the previous clock update in ms, null while stopped
 let isTimeDilationPlaying = true; // State for play/pause
+let isMovingObserverView = false; // Clocks seen from the moving clock's rest frame
+let lightClockP5; // p5.js instance for the light clocks
+// Seconds of viewing-frame time per real second. The clocks count in this unit, and one photon
+// round trip between the mirrors takes one unit of the clock's own time.
+let lightClockTickSeconds = parseFloat(timeScaleSelect.value);
 
 /**
  * Updates the clocks based on the current velocity for time dilation.
- * Uses requestAnimationFrame for a smooth animation loop.
+ * Uses requestAnimationFrame for a smooth animation loop, advancing the clocks by the real time
+ * elapsed since the previous update so their rate does not depend on the frame rate.
+ * @param {number} [timestamp] Animation frame time in ms; calls from event handlers use the current time.
  */
-function updateTimeDilationClocks() {
+function updateTimeDilationClocks(timestamp = performance.now()) {
     if (!isTimeDilationPlaying) {
         return; // Pause animation
     }
@@ -295,23 +414,35 @@ function updateTimeDilationClocks() {
     velocityTimeDisplay.textContent = isSIUnits ? `${(v * C_SI).toExponential(2)} m/s` : `${v.toFixed(3)}c`;
     lorentzFactorTimeDisplay.textContent = gamma.toFixed(2);
 
-    const deltaTime = 0.05; // Time step in "stationary observer" seconds
-    stationaryTime += deltaTime;
-    movingTime += deltaTime / gamma;
-
-    stationaryTimeDisplay.textContent = stationaryTime.toFixed(2);
-    movingTimeDisplay.textContent = movingTime.toFixed(2);
-
-    // Basic "particle" animation within the clocks (using CSS transform)
-    const normalizedTime = (stationaryTime % 10) / 10; // Normalize time to a 0-1 cycle for animation
-    const normalizedMovingTime = (movingTime % 10) / 10;
+    // Real time since the last update, including any stretch the tab spent in the background
+    if (lastClockTimestamp !== null) {
+        const deltaTime = Math.max(0, timestamp - lastClockTimestamp) / 1000 * lightClockTickSeconds;
+        stationaryTime += deltaTime;
+        movingTime += calculateProperTime(deltaTime, v);
+    }
+    lastClockTimestamp = timestamp;
 
-    // stationaryClockParticle.style.transform = `scaleY(${1 - normalizedTime * 0.5}) translateZ(0)`; // Simple pulse
-    // movingClockParticle.style.transform = `scaleY(${1 - normalizedMovingTime * 0.5}) translateZ(0)`; // Slower pulse
+    // Each clock box keeps showing its own clock, whichever frame it is seen from
+    const unit = lightClockTickSeconds;
+    stationaryTimeDisplay.textContent = ((isMovingObserverView ? movingTime : stationaryTime) / unit).toFixed(2);
+    movingTimeDisplay.textContent = ((isMovingObserverView ? stationaryTime : movingTime) / unit).toFixed(2);
+    if (lightClockP5) lightClockP5.redraw();
 
+    // Only one pending frame, however many handlers call in
+    cancelAnimationFrame(animationFrameId);
     animationFrameId = requestAnimationFrame(updateTimeDilationClocks);
 }
 
+/**
+ * Stops the clock animation; the next update starts timing afresh.
+ */
+function stopTimeDilationClocks() {
+    if (animationFrameId) {
+        cancelAnimationFrame(animationFrameId);
+    }
+    lastClockTimestamp = null;
+}
+
 // Event listener for time dilation slider
 velocityTimeInput.addEventListener('input', () => {
     // Reset clocks when velocity changes to see the effect from start
@@ -320,9 +451,7 @@ velocityTimeInput.addEventListener('input', () => {
     // Ensure animation is playing when slider is moved
     isTimeDilationPlaying = true;
     playPauseTimeBtn.textContent = 'Pause';
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
-    }
+    stopTimeDilationClocks();
     updateTimeDilationClocks();
     const v = parseFloat(velocityTimeInput.value);
     if (!globalVelocityInput.isGlobalUpdate) { // Prevent infinite loop
@@ -338,9 +467,7 @@ playPauseTimeBtn.addEventListener('click', () => {
         updateTimeDilationClocks(); // Resume animation
     } else {
         playPauseTimeBtn.textContent = 'Play';
-        if (animationFrameId) {
-            cancelAnimationFrame(animationFrameId); // Stop animation
-        }
+        stopTimeDilationClocks();
     }
 });
 
@@ -353,11 +480,150 @@ resetTimeBtn.addEventListener('click', () => {
     // Pause animation and set button text
     isTimeDilationPlaying = false;
     playPauseTimeBtn.textContent = 'Play';
-    if (animationFrameId) {
-        cancelAnimationFrame(animationFrameId);
+    stopTimeDilationClocks();
+    if (lightClockP5) lightClockP5.redraw();
+});
+
+// Time scale: the clocks keep their readings and show them in the new unit
+timeScaleSelect.addEventListener('change', () => {
+    lightClockTickSeconds = parseFloat(timeScaleSelect.value);
+    const unitName = timeScaleSelect.selectedOptions[0].dataset.unit;
+    stationaryTimeUnitDisplay.textContent = unitName;
+    movingTimeUnitDisplay.textContent = unitName;
+    stationaryTimeDisplay.textContent = ((isMovingObserverView ? movingTime : stationaryTime) / lightClockTickSeconds).toFixed(2);
+    movingTimeDisplay.textContent = ((isMovingObserverView ? stationaryTime : movingTime) / lightClockTickSeconds).toFixed(2);
+    if (lightClockP5) lightClockP5.redraw();
+});
+
+/**
+ * The p5.js sketch for the light clocks: on the left the clock at rest in the viewing frame,
+ * its photon bouncing straight up and down; on the right the clock moving in that frame,
+ * its photon tracing a zigzag.
+ * @param {p5} sketch The p5.js instance.
+ */
+const lightClockSketch = function (sketch) {
+    const margin = 20;
+    const mirrorWidth = 36;
+    const stationaryColor = [16, 185, 129];
+    const movingColor = [59, 130, 246];
+    const photonColor = [255, 255, 0];
+
+    sketch.setup = function () {
+        sketch.pixelDensity(1);
+        const canvas = sketch.createCanvas(lightClockCanvasContainer.offsetWidth, lightClockCanvasContainer.offsetHeight);
+        canvas.parent('light-clock-canvas-container');
+        sketch.windowResized = () => {
+            sketch.resizeCanvas(lightClockCanvasContainer.offsetWidth, lightClockCanvasContainer.offsetHeight);
+            sketch.redraw();
+        };
+        sketch.noLoop(); // The time dilation animation loop redraws it
+    };
+
+    // Photon height above the lower mirror, as a fraction of the gap, at a given clock reading
+    function photonHeight(clockTime) {
+        const phase = (clockTime / lightClockTickSeconds) % 1;
+        return 1 - Math.abs(2 * phase - 1);
+    }
+
+    function drawMirrors(x, bottomY, topY, color) {
+        sketch.stroke(...color);
+        sketch.strokeWeight(4);
+        sketch.line(x - mirrorWidth / 2, topY, x + mirrorWidth / 2, topY);
+        sketch.line(x - mirrorWidth / 2, bottomY, x + mirrorWidth / 2, bottomY);
     }
-    stationaryClockParticle.style.transform = `scaleY(1)`; // Reset animation visual
-    movingClockParticle.style.transform = `scaleY(1)`;
+
+    function drawClockLabel(x, y, title, clockTime, color) {
+        sketch.noStroke();
+        sketch.fill(...color);
+        sketch.textSize(13);
+        sketch.textAlign(sketch.CENTER, sketch.TOP);
+        sketch.text(title, x, y);
+        sketch.fill(230);
+        sketch.text(`Ticks: ${Math.floor(clockTime / lightClockTickSeconds)}`, x, y + 18);
+    }
+
+    sketch.draw = function () {
+        sketch.background(40, 40, 60);
+
+        const v = parseFloat(velocityTimeInput.value);
+        const gamma = calculateLorentzFactor(v);
+        const restWidth = sketch.width * 0.3;
+        const laneLeft = restWidth + mirrorWidth;
+        const laneWidth = sketch.width - laneLeft - mirrorWidth;
+        // A gap small next to the lane leaves room for a few zigzags at moderate speeds
+        const mirrorGap = Math.min(sketch.height - 2 * margin - 54, laneWidth / 3);
+        const topY = (sketch.height - 44 - mirrorGap) / 2;
+        const bottomY = topY + mirrorGap;
+        // The mirrors are half a light-tick apart, so a round trip at rest takes one tick (one time-scale unit)
+        const pixelsPerLightSecond = mirrorGap / (C_norm * lightClockTickSeconds / 2);
+
+        // In the moving observer's view the stationary clock is the one moving, the other way
+        const movingClockVelocity = isMovingObserverView ? -v : v;
+        const restClock = isMovingObserverView
+            ? { title: 'Moving clock (at rest here)', color: movingColor }
+            : { title: 'Stationary clock', color: stationaryColor };
+        const movingClock = isMovingObserverView
+            ? { title: `Stationary clock at ${movingClockVelocity.toFixed(3)}c`, color: stationaryColor }
+            : { title: `Moving clock at ${movingClockVelocity.toFixed(3)}c`, color: movingColor };
+
+        // --- Right: the moving clock drifts across and wraps around; its photon leaves a zigzag ---
+        const travelled = movingClockVelocity * stationaryTime * pixelsPerLightSecond;
+        const clockX = laneLeft + ((travelled % laneWidth) + laneWidth) % laneWidth;
+        // Horizontal distance covered per unit of the moving clock's own time
+        const pixelsPerClockSecond = movingClockVelocity * gamma * pixelsPerLightSecond;
+        const photonY = clockTime => bottomY - photonHeight(clockTime) * (bottomY - topY);
+
+        sketch.noFill();
+        sketch.stroke(...photonColor, 140);
+        sketch.strokeWeight(1.5);
+        sketch.beginShape();
+        sketch.vertex(clockX, photonY(movingTime));
+        // Reflections every half tick, back over the last couple of ticks
+        const halfTick = lightClockTickSeconds / 2;
+        for (let reflection = Math.floor(movingTime / halfTick) * halfTick;
+            reflection >= Math.max(0, movingTime - 2 * lightClockTickSeconds); reflection -= halfTick) {
+            sketch.vertex(clockX - (movingTime - reflection) * pixelsPerClockSecond, photonY(reflection));
+        }
+        sketch.endShape();
+
+        drawMirrors(clockX, bottomY, topY, movingClock.color);
+        sketch.noStroke();
+        sketch.fill(...photonColor);
+        sketch.circle(clockX, photonY(movingTime), 10);
+
+        // --- Left: the clock at rest, drawn over whatever of the zigzag wrapped past the lane ---
+        sketch.fill(40, 40, 60);
+        sketch.rect(0, 0, restWidth, sketch.height);
+        sketch.rect(sketch.width - mirrorWidth / 2, 0, mirrorWidth / 2, sketch.height);
+        sketch.stroke(120);
+        sketch.strokeWeight(1);
+        sketch.line(restWidth, margin, restWidth, sketch.height - margin);
+
+        const restX = restWidth / 2;
+        sketch.stroke(...photonColor, 140);
+        sketch.strokeWeight(1.5);
+        sketch.line(restX, topY, restX, bottomY);
+        drawMirrors(restX, bottomY, topY, restClock.color);
+        sketch.noStroke();
+        sketch.fill(...photonColor);
+        sketch.circle(restX, photonY(stationaryTime), 10);
+
+        drawClockLabel(restX, bottomY + 12, restClock.title, stationaryTime, restClock.color);
+        drawClockLabel(laneLeft + laneWidth / 2, bottomY + 12, movingClock.title, movingTime, movingClock.color);
+    };
+};
+
+// Initialize the light clocks
+lightClockP5 = new p5(lightClockSketch);
+
+// Switching frames starts both clocks over, since their readings describe a different frame
+lightClockPovToggle.addEventListener('change', () => {
+    isMovingObserverView = lightClockPovToggle.checked;
+    stationaryTime = 0;
+    movingTime = 0;
+    stationaryTimeDisplay.textContent = "00.00";
+    movingTimeDisplay.textContent = "00.00";
+    lightClockP5.redraw();
 });
 
 // Initial update for time dilation animation when the page loads
@@ -381,7 +647,7 @@ function updateLengthContraction() {
     const gamma = calculateLorentzFactor(v);
 
     // Contracted Length = Original Length / gamma
-    const contracted = originalLength / gamma;
+    const contracted = calculateContractedLength(originalLength, v);
 
     velocityLengthDisplay.textContent = isSIUnits ? `${(v * C_SI).toExponential(2)} m/s` : `${v.toFixed(3)}c`;
     lorentzFactorLengthDisplay.textContent = gamma.toFixed(2);
@@ -401,500 +667,3801 @@ velocityLengthInput.addEventListener('input', () => {
     }
 });
 
-// Initial update for length contraction when the page loads
-updateLengthContraction();
+// Initial update for length contraction when the page loads
+updateLengthContraction();
+
+// --- Ladder (Barn-Pole) Paradox Logic ---
+const ladderPoleLengthInput = document.getElementById('ladder-pole-length');
+const ladderPoleLengthDisplay = document.getElementById('ladder-pole-length-display');
+const ladderBarnLengthInput = document.getElementById('ladder-barn-length');
+const ladderBarnLengthDisplay = document.getElementById('ladder-barn-length-display');
+const ladderVelocityInput = document.getElementById('ladder-velocity');
+const ladderVelocityDisplay = document.getElementById('ladder-velocity-display');
+const ladderGammaDisplay = document.getElementById('ladder-gamma-display');
+const ladderPoleInBarnDisplay = document.getElementById('ladder-pole-in-barn-display');
+const ladderBarnInPoleDisplay = document.getElementById('ladder-barn-in-pole-display');
+const ladderBarnClosingsDisplay = document.getElementById('ladder-barn-closings-display');
+const ladderPoleClosingsDisplay = document.getElementById('ladder-pole-closings-display');
+const ladderFitsDisplay = document.getElementById('ladder-fits-display');
+const ladderCanvasContainer = document.getElementById('ladder-canvas-container');
+const playPauseLadderBtn = document.getElementById('play-pause-ladder');
+const resetLadderBtn = document.getElementById('reset-ladder');
+
+const ladderAnimationDuration = 6; // Real seconds for the pole to pass through the barn
+const ladderRunSlack = 0.15; // Extra run time shown before the pole arrives and after it leaves, as a fraction
+const ladderDoorFlash = 0.03; // Half the time a shut door is shown, as a fraction of the run
+let ladder = calculateLadderParadox(
+    parseFloat(ladderPoleLengthInput.value), parseFloat(ladderBarnLengthInput.value), parseFloat(ladderVelocityInput.value));
+let ladderProgress = 0.5; // Fraction of the run already animated; halfway is when the barn frame shuts both doors
+let isLadderPlaying = false;
+let ladderP5; // p5.js instance for the ladder paradox views
+
+// Times are ct in meters, or nanoseconds with SI units on
+function formatLadderTime(ct) {
+    return isSIUnits ? `${(ct / C_SI * 1e9).toFixed(2)} ns` : `${ct.toFixed(2)} m`;
+}
+
+/**
+ * Time span animated in one frame: from the pole's front reaching the entrance to its rear
+ * leaving by the exit, with some slack either side. Both frames play the same two events.
+ * @param {string} frame 'barn' or 'pole'.
+ * @returns {{start: number, end: number}} ct range in that frame.
+ */
+function ladderRunWindow(frame) {
+    const barnLength = parseFloat(ladderBarnLengthInput.value);
+    const arrival = { ct: -ladder.poleFrontAtStart / ladder.speed, x: 0 };
+    const departure = { ct: (barnLength - ladder.poleRearAtStart) / ladder.speed, x: barnLength };
+    const [start, end] = [arrival, departure].map(event =>
+        frame === 'barn' ? event.ct : lorentzTransform(event.ct, event.x, ladder.speed).tPrime);
+    const slack = (end - start) * ladderRunSlack;
+    return { start: start - slack, end: end + slack };
+}
+
+function updateLadderParadox() {
+    const poleLength = parseFloat(ladderPoleLengthInput.value);
+    const barnLength = parseFloat(ladderBarnLengthInput.value);
+    const v = parseFloat(ladderVelocityInput.value);
+    ladder = calculateLadderParadox(poleLength, barnLength, v);
+
+    ladderPoleLengthDisplay.textContent = `${poleLength.toFixed(1)} m`;
+    ladderBarnLengthDisplay.textContent = `${barnLength.toFixed(1)} m`;
+    ladderVelocityDisplay.textContent = isSIUnits ? `${(v * C_SI).toExponential(2)} m/s` : `${v.toFixed(3)}c`;
+    ladderGammaDisplay.textContent = ladder.gamma.toFixed(2);
+    ladderPoleInBarnDisplay.textContent = `${ladder.poleLengthInBarnFrame.toFixed(2)} m`;
+    ladderBarnInPoleDisplay.textContent = `${ladder.barnLengthInPoleFrame.toFixed(2)} m`;
+
+    const timeLabel = isSIUnits ? 't' : 'ct';
+    ladderBarnClosingsDisplay.textContent =
+        `${timeLabel} = ${formatLadderTime(ladder.entranceClosing.barn.ct)} / ${formatLadderTime(ladder.exitClosing.barn.ct)}`;
+    ladderPoleClosingsDisplay.textContent =
+        `${timeLabel}' = ${formatLadderTime(ladder.entranceClosing.pole.ct)} / ${formatLadderTime(ladder.exitClosing.pole.ct)}`;
+    ladderFitsDisplay.textContent = `${ladder.fitsInBarnFrame ? 'Yes' : 'No'} / ${ladder.fitsInPoleFrame ? 'Yes' : 'No'}`;
+
+    if (ladderP5) ladderP5.redraw();
+}
+
+function setLadderPlaying(playing) {
+    isLadderPlaying = playing;
+    playPauseLadderBtn.textContent = playing ? 'Pause' : 'Play';
+    if (!ladderP5) return;
+    if (playing) {
+        ladderP5.loop();
+    } else {
+        ladderP5.noLoop();
+    }
+}
+
+/**
+ * The p5.js sketch for the ladder paradox: the run in the barn frame and in the pole frame
+ * side by side with a spacetime diagram of the door closings in the barn frame.
+ * @param {p5} sketch The p5.js instance.
+ */
+const ladderSketch = function (sketch) {
+    const padding = 16;
+    const barnColor = [160, 160, 170];
+    const poleColor = [246, 173, 85];
+    const doorShutColor = [252, 80, 80];
+    const poleNowColor = [79, 209, 197];
+
+    sketch.setup = function () {
+        sketch.pixelDensity(1);
+        const canvas = sketch.createCanvas(ladderCanvasContainer.offsetWidth, ladderCanvasContainer.offsetHeight);
+        canvas.parent('ladder-canvas-container');
+        sketch.windowResized = () => {
+            sketch.resizeCanvas(ladderCanvasContainer.offsetWidth, ladderCanvasContainer.offsetHeight);
+            sketch.redraw();
+        };
+        sketch.noLoop(); // Only loop while the run is being animated
+    };
+
+    /**
+     * Draws one frame's view of the run as a strip: barn, doors and pole at that frame's time.
+     * @param {object} panel Strip position {top, height, width, scale, centerX}.
+     * @param {object} view {title, prime, ct, flash, doors: [{x(ct), closeCt}], poleRear, poleFront}.
+     */
+    function drawRunStrip(panel, view) {
+        const toScreenX = x => padding + panel.width / 2 + (x - panel.centerX) * panel.scale;
+        const midY = panel.top + panel.height * 0.58;
+        const barnHeight = panel.height * 0.42;
+
+        sketch.noStroke();
+        sketch.fill(230);
+        sketch.textSize(12);
+        sketch.textAlign(sketch.LEFT, sketch.TOP);
+        sketch.text(`${view.title}   ${isSIUnits ? 't' : 'ct'}${view.prime} = ${formatLadderTime(view.ct)}`, padding, panel.top + 4);
+
+        // Barn walls between the doors
+        const [entrance, exit] = view.doors.map(door => toScreenX(door.x(view.ct)));
+        sketch.fill(60, 60, 80);
+        sketch.stroke(...barnColor);
+        sketch.strokeWeight(1);
+        sketch.rect(entrance, midY - barnHeight / 2, exit - entrance, barnHeight);
+
+        // Doors: a stub at each end of the doorway while open, a solid red bar at the instant they shut
+        view.doors.forEach(door => {
+            const x = toScreenX(door.x(view.ct));
+            if (Math.abs(view.ct - door.closeCt) <= view.flash) {
+                sketch.stroke(...doorShutColor);
+                sketch.strokeWeight(4);
+                sketch.line(x, midY - barnHeight / 2, x, midY + barnHeight / 2);
+            } else {
+                sketch.stroke(...barnColor);
+                sketch.strokeWeight(3);
+                sketch.line(x, midY - barnHeight / 2, x, midY - barnHeight / 4);
+                sketch.line(x, midY + barnHeight / 4, x, midY + barnHeight / 2);
+            }
+        });
+
+        // Pole
+        sketch.noStroke();
+        sketch.fill(...poleColor);
+        const rear = toScreenX(view.poleRear);
+        sketch.rect(rear, midY - barnHeight / 10, toScreenX(view.poleFront) - rear, barnHeight / 5);
+    }
+
+    sketch.draw = function () {
+        sketch.background(40, 40, 60);
+
+        if (isLadderPlaying) {
+            // Cap the step so a long pause between frames doesn't skip the whole run
+            ladderProgress = Math.min(1, ladderProgress + Math.min(sketch.deltaTime, 100) / 1000 / ladderAnimationDuration);
+            if (ladderProgress >= 1) {
+                setLadderPlaying(false);
+            }
+        }
+
+        const poleLength = parseFloat(ladderPoleLengthInput.value);
+        const barnLength = parseFloat(ladderBarnLengthInput.value);
+        const { speed: v, gamma } = ladder;
+        const poleLengthInBarn = ladder.poleLengthInBarnFrame;
+        const barnLengthInPole = ladder.barnLengthInPoleFrame;
+
+        // --- Left: the run in each frame, on a shared meters-to-pixels scale ---
+        const stripWidth = sketch.width * 0.58 - 2 * padding;
+        const stripHeight = (sketch.height - padding) / 2;
+        // Each frame sees the moving object travel its own length plus the other's, plus the slack
+        const travel = (resting, moving) => resting + 2 * moving + 2 * ladderRunSlack * (resting + moving);
+        const scale = stripWidth / Math.max(travel(barnLength, poleLengthInBarn), travel(poleLength, barnLengthInPole));
+        const barnWindow = ladderRunWindow('barn');
+        const poleWindow = ladderRunWindow('pole');
+        const barnCt = sketch.lerp(barnWindow.start, barnWindow.end, ladderProgress);
+        const poleCt = sketch.lerp(poleWindow.start, poleWindow.end, ladderProgress);
+
+        // --- Right: spacetime diagram in the barn frame, equal scales so light would run at 45° ---
+        const left = sketch.width * 0.58 + padding;
+        const right = sketch.width - padding;
+        const top = padding;
+        const bottom = sketch.height - padding;
+        const halfExtent = 0.65 * Math.max(barnLength, poleLengthInBarn);
+        const xLeft = barnLength / 2 - halfExtent;
+        const xRight = barnLength / 2 + halfExtent;
+        const diagramScale = (right - left) / (2 * halfExtent);
+        const toScreenX = x => left + (x - xLeft) * diagramScale;
+        const toScreenY = ct => (top + bottom) / 2 - ct * diagramScale;
+        const ctEdge = (bottom - top) / 2 / diagramScale;
+
+        sketch.noFill();
+        sketch.stroke(120);
+        sketch.strokeWeight(1);
+        sketch.rect(left, top, right - left, bottom - top);
+
+        // Pole band between the worldlines of its two ends
+        sketch.noStroke();
+        sketch.fill(...poleColor, 70);
+        sketch.quad(
+            toScreenX(ladder.poleRearAtStart - v * ctEdge), toScreenY(-ctEdge),
+            toScreenX(ladder.poleFrontAtStart - v * ctEdge), toScreenY(-ctEdge),
+            toScreenX(ladder.poleFrontAtStart + v * ctEdge), toScreenY(ctEdge),
+            toScreenX(ladder.poleRearAtStart + v * ctEdge), toScreenY(ctEdge)
+        );
+
+        // Door worldlines
+        sketch.stroke(...barnColor);
+        sketch.strokeWeight(2);
+        [0, barnLength].forEach(x => sketch.line(toScreenX(x), top, toScreenX(x), bottom));
+
+        // Lines of simultaneity through the closings: barn (horizontal) and pole (slope v)
+        sketch.stroke(255, 255, 255, 200);
+        sketch.strokeWeight(1.5);
+        sketch.line(left, toScreenY(0), right, toScreenY(0));
+        sketch.stroke(...poleNowColor, 220);
+        [0, barnLength].forEach(x0 => {
+            sketch.line(toScreenX(xLeft), toScreenY(v * (xLeft - x0)), toScreenX(xRight), toScreenY(v * (xRight - x0)));
+        });
+
+        // Where the animation is in each frame: ct = barnCt, and ct' = poleCt, i.e. ct = v x + ct'/gamma
+        sketch.strokeWeight(1);
+        sketch.stroke(255, 255, 255, 70);
+        sketch.line(left, toScreenY(barnCt), right, toScreenY(barnCt));
+        sketch.stroke(...poleNowColor, 70);
+        sketch.line(toScreenX(xLeft), toScreenY(v * xLeft + poleCt / gamma), toScreenX(xRight), toScreenY(v * xRight + poleCt / gamma));
+
+        // Door closings
+        sketch.noStroke();
+        sketch.fill(...doorShutColor);
+        [ladder.entranceClosing.barn, ladder.exitClosing.barn].forEach(event => {
+            sketch.circle(toScreenX(event.x), toScreenY(event.ct), 8);
+        });
+
+        sketch.fill(230);
+        sketch.textSize(11);
+        sketch.textAlign(sketch.LEFT, sketch.TOP);
+        sketch.text('Barn frame: x →, ct ↑', left + 4, top + 4);
+
+        // Mask whatever the diagram drew past its edges; the strips go on top afterwards
+        sketch.noStroke();
+        sketch.fill(40, 40, 60);
+        sketch.rect(0, 0, left - 1, sketch.height);
+        sketch.rect(right + 1, 0, padding, sketch.height);
+        sketch.rect(left - 1, 0, right - left + 2, top - 1);
+        sketch.rect(left - 1, bottom + 1, right - left + 2, padding);
+
+        drawRunStrip({ top: padding / 2, height: stripHeight, width: stripWidth, scale, centerX: barnLength / 2 }, {
+            title: 'Barn frame',
+            prime: '',
+            ct: barnCt,
+            flash: (barnWindow.end - barnWindow.start) * ladderDoorFlash,
+            doors: [
+                { x: () => 0, closeCt: ladder.entranceClosing.barn.ct },
+                { x: () => barnLength, closeCt: ladder.exitClosing.barn.ct },
+            ],
+            poleRear: ladder.poleRearAtStart + v * barnCt,
+            poleFront: ladder.poleFrontAtStart + v * barnCt,
+        });
+        // In the pole frame the door at barn position X moves as x' = X/gamma - v ct'
+        drawRunStrip({ top: padding / 2 + stripHeight, height: stripHeight, width: stripWidth, scale, centerX: gamma * barnLength / 2 }, {
+            title: 'Pole frame',
+            prime: "'",
+            ct: poleCt,
+            flash: (poleWindow.end - poleWindow.start) * ladderDoorFlash,
+            doors: [
+                { x: ct => -v * ct, closeCt: ladder.entranceClosing.pole.ct },
+                { x: ct => barnLengthInPole - v * ct, closeCt: ladder.exitClosing.pole.ct },
+            ],
+            poleRear: gamma * ladder.poleRearAtStart,
+            poleFront: gamma * ladder.poleFrontAtStart,
+        });
+    };
+};
+
+// Initialize the ladder paradox views
+ladderP5 = new p5(ladderSketch);
+
+[ladderPoleLengthInput, ladderBarnLengthInput, ladderVelocityInput].forEach(input => {
+    input.addEventListener('input', updateLadderParadox);
+});
+
+playPauseLadderBtn.addEventListener('click', () => {
+    if (!isLadderPlaying && ladderProgress >= 1) {
+        ladderProgress = 0; // Start a finished run over
+    }
+    setLadderPlaying(!isLadderPlaying);
+});
+
+resetLadderBtn.addEventListener('click', () => {
+    ladderProgress = 0;
+    setLadderPlaying(false);
+    ladderP5.redraw();
+});
+
+// Initial update for the ladder paradox when the page loads
+updateLadderParadox();
+
+// --- Atmospheric Muon Decay Logic ---
+const muonAltitudeInput = document.getElementById('muon-altitude');
+const muonAltitudeDisplay = document.getElementById('muon-altitude-display');
+const muonVelocityInput = document.getElementById('muon-velocity');
+const muonVelocityDisplay = document.getElementById('muon-velocity-display');
+const muonLifetimeInput = document.getElementById('muon-lifetime');
+const muonLifetimeDisplay = document.getElementById('muon-lifetime-display');
+const muonGammaDisplay = document.getElementById('muon-gamma-display');
+const muonFlightTimeDisplay = document.getElementById('muon-flight-time-display');
+const muonDilatedLifetimeDisplay = document.getElementById('muon-dilated-lifetime-display');
+const muonContractedAltitudeDisplay = document.getElementById('muon-contracted-altitude-display');
+const muonProperFlightTimeDisplay = document.getElementById('muon-proper-flight-time-display');
+const muonClassicalSurvivalDisplay = document.getElementById('muon-classical-survival-display');
+const muonEarthSurvivalDisplay = document.getElementById('muon-earth-survival-display');
+const muonMuonSurvivalDisplay = document.getElementById('muon-muon-survival-display');
+const muonSimulatedDisplay = document.getElementById('muon-simulated-display');
+const muonCanvasContainer = document.getElementById('muon-canvas-container');
+const playPauseMuonBtn = document.getElementById('play-pause-muon');
+const resetMuonBtn = document.getElementById('reset-muon');
+const newMuonBatchBtn = document.getElementById('new-muon-batch');
+
+const muonAnimationDuration = 6; // Real seconds for the flight from the production altitude to the ground
+const muonBatchSize = 200;
+let muonDecay = calculateMuonDecay(
+    parseFloat(muonAltitudeInput.value) * 1000, parseFloat(muonVelocityInput.value), parseFloat(muonLifetimeInput.value) * 1e-6);
+// Each muon keeps its place and its lifetime (in mean lifetimes) until a new batch is drawn,
+// so moving the sliders changes the flight and not the dice
+let muonBatch = createMuonBatch();
+let muonProgress = 0; // Fraction of the flight already animated
+let isMuonPlaying = false;
+let muonP5; // p5.js instance for the muon views
+
+/**
+ * Draws a new batch of muons.
+ * @returns {Array<{position: number, depth: number, lifetime: number}>} Place in the drawn shower
+ *   (0 to 1 across and up) and rest-frame lifetime in units of the mean lifetime.
+ */
+function createMuonBatch() {
+    return sampleDecayLifetimes(muonBatchSize, 1).map(lifetime => ({ position: Math.random(), depth: Math.random(), lifetime }));
+}
+
+/**
+ * When a muon decays, as a fraction of the flight. The same in both frames: Earth waits γτ_i
+ * out of the flight time H/v, the muon waits τ_i out of H/γv.
+ * @param {{lifetime: number}} muon A muon of the batch.
+ * @returns {number} Fraction of the flight at which it decays; above 1 if it reaches the ground.
+ */
+function muonDecayProgress(muon) {
+    const meanLifetime = parseFloat(muonLifetimeInput.value) * 1e-6;
+    return muon.lifetime * meanLifetime / muonDecay.properFlightTime;
+}
+
+// Survival fractions span many orders of magnitude; tiny ones read better in scientific notation
+function formatSurvivalFraction(fraction) {
+    return fraction >= 1e-4 ? `${(fraction * 100).toFixed(2)}%` : fraction.toExponential(1);
+}
+
+function formatMicroseconds(seconds) {
+    return `${(seconds * 1e6).toFixed(2)} μs`;
+}
+
+function updateMuonDecay() {
+    const altitudeKm = parseFloat(muonAltitudeInput.value);
+    const v = parseFloat(muonVelocityInput.value);
+    const lifetimeMicroseconds = parseFloat(muonLifetimeInput.value);
+    muonDecay = calculateMuonDecay(altitudeKm * 1000, v, lifetimeMicroseconds * 1e-6);
+
+    muonAltitudeDisplay.textContent = `${altitudeKm.toFixed(1)} km`;
+    muonVelocityDisplay.textContent = isSIUnits ? `${(v * C_SI).toExponential(3)} m/s` : `${v.toFixed(4)}c`;
+    muonLifetimeDisplay.textContent = `${lifetimeMicroseconds.toFixed(3)} μs`;
+    muonGammaDisplay.textContent = muonDecay.gamma.toFixed(2);
+    muonFlightTimeDisplay.textContent = formatMicroseconds(muonDecay.flightTime);
+    muonDilatedLifetimeDisplay.textContent = formatMicroseconds(muonDecay.dilatedLifetime);
+    muonContractedAltitudeDisplay.textContent = `${(muonDecay.contractedAltitude / 1000).toFixed(2)} km`;
+    muonProperFlightTimeDisplay.textContent = formatMicroseconds(muonDecay.properFlightTime);
+    muonClassicalSurvivalDisplay.textContent = formatSurvivalFraction(muonDecay.classicalSurvival);
+    muonEarthSurvivalDisplay.textContent = formatSurvivalFraction(muonDecay.earthFrameSurvival);
+    muonMuonSurvivalDisplay.textContent = formatSurvivalFraction(muonDecay.muonFrameSurvival);
+
+    if (muonP5) muonP5.redraw();
+}
+
+function setMuonPlaying(playing) {
+    isMuonPlaying = playing;
+    playPauseMuonBtn.textContent = playing ? 'Pause' : 'Play';
+    if (!muonP5) return;
+    if (playing) {
+        muonP5.loop();
+    } else {
+        muonP5.noLoop();
+    }
+}
+
+/**
+ * The p5.js sketch for the muon experiment: the same batch of muons flying down in Earth's
+ * frame and sitting still in their own frame while the ground comes up to meet them.
+ * @param {p5} sketch The p5.js instance.
+ */
+const muonSketch = function (sketch) {
+    const padding = 16;
+    const showerDepth = 18; // The batch is drawn as a thin layer rather than one crowded row
+    const muonColor = [100, 150, 255];
+    const decayColor = [150, 150, 160];
+    const groundColor = [90, 140, 80];
+    const airColor = [50, 60, 90];
+
+    sketch.setup = function () {
+        sketch.pixelDensity(1);
+        const canvas = sketch.createCanvas(muonCanvasContainer.offsetWidth, muonCanvasContainer.offsetHeight);
+        canvas.parent('muon-canvas-container');
+        sketch.windowResized = () => {
+            sketch.resizeCanvas(muonCanvasContainer.offsetWidth, muonCanvasContainer.offsetHeight);
+            sketch.redraw();
+        };
+        sketch.noLoop(); // Only loop while the flight is being animated
+    };
+
+    function drawDecayCross(x, y) {
+        sketch.stroke(...decayColor, 160);
+        sketch.strokeWeight(1.5);
+        sketch.line(x - 3, y - 3, x + 3, y + 3);
+        sketch.line(x - 3, y + 3, x + 3, y - 3);
+    }
+
+    function drawMuon(x, y) {
+        sketch.noStroke();
+        sketch.fill(...muonColor);
+        sketch.circle(x, y, 7);
+    }
+
+    function drawPanelText(left, lines) {
+        sketch.noStroke();
+        sketch.fill(230);
+        sketch.textSize(12);
+        sketch.textAlign(sketch.LEFT, sketch.TOP);
+        lines.forEach((line, i) => sketch.text(line, left + 4, padding / 2 + i * 16));
+    }
+
+    sketch.draw = function () {
+        sketch.background(40, 40, 60);
+
+        if (isMuonPlaying) {
+            // Cap the step so a long pause between frames doesn't skip the whole flight
+            muonProgress = Math.min(1, muonProgress + Math.min(sketch.deltaTime, 100) / 1000 / muonAnimationDuration);
+            if (muonProgress >= 1) {
+                setMuonPlaying(false);
+            }
+        }
+
+        const panelWidth = (sketch.width - 3 * padding) / 2;
+        const top = padding / 2 + 3 * 16 + showerDepth + 10; // Production altitude, below the panel text and the shower
+        const groundY = sketch.height - padding - 20;
+        const columnHeight = groundY - top;
+        const decayPoints = muonBatch.map(muonDecayProgress);
+        const undecayed = decayPoints.filter(decayAt => decayAt > muonProgress).length;
+
+        // --- Left: Earth's frame, the muons fall the full altitude H ---
+        const earthLeft = padding;
+        sketch.noStroke();
+        sketch.fill(...airColor);
+        sketch.rect(earthLeft, top, panelWidth, columnHeight);
+        sketch.fill(...groundColor);
+        sketch.rect(earthLeft, groundY, panelWidth, sketch.height - padding / 2 - groundY);
+        sketch.stroke(200);
+        sketch.strokeWeight(1);
+        sketch.line(earthLeft, top, earthLeft + panelWidth, top);
+
+        muonBatch.forEach((muon, i) => {
+            const x = earthLeft + (0.04 + 0.92 * muon.position) * panelWidth;
+            const y = top + Math.min(muonProgress, decayPoints[i]) * columnHeight - 4 - muon.depth * showerDepth;
+            if (decayPoints[i] <= muonProgress) {
+                drawDecayCross(x, y);
+            } else {
+                drawMuon(x, y);
+            }
+        });
+
+        drawPanelText(earthLeft, [
+            `Earth frame   t = ${formatMicroseconds(muonProgress * muonDecay.flightTime)}`,
+            `Muon lifetime γτ = ${formatMicroseconds(muonDecay.dilatedLifetime)}`,
+            `Altitude H = ${(muonDecay.contractedAltitude * muonDecay.gamma / 1000).toFixed(1)} km`,
+        ]);
+
+        // --- Right: the muons' frame, at rest while the ground rises through H/γ ---
+        const muonLeft = 2 * padding + panelWidth;
+        const restY = top;
+        const contractedHeight = columnHeight / muonDecay.gamma;
+        const groundTop = restY + (1 - muonProgress) * contractedHeight;
+        sketch.noStroke();
+        sketch.fill(...airColor);
+        sketch.rect(muonLeft, top, panelWidth, groundTop - top);
+        sketch.fill(...groundColor);
+        sketch.rect(muonLeft, groundTop, panelWidth, sketch.height - padding / 2 - groundTop);
+
+        // The altitude Earth measures, for comparison with the contracted one
+        sketch.noFill();
+        sketch.stroke(200, 200, 200, 90);
+        sketch.strokeWeight(1);
+        sketch.rect(muonLeft, top, panelWidth, columnHeight);
+
+        muonBatch.forEach((muon, i) => {
+            const x = muonLeft + (0.04 + 0.92 * muon.position) * panelWidth;
+            const y = restY - 4 - muon.depth * showerDepth;
+            if (decayPoints[i] <= muonProgress) {
+                drawDecayCross(x, y);
+            } else {
+                drawMuon(x, y);
+            }
+        });
+
+        drawPanelText(muonLeft, [
+            `Muon frame   t' = ${formatMicroseconds(muonProgress * muonDecay.properFlightTime)}`,
+            `Muon lifetime τ = ${formatMicroseconds(muonDecay.dilatedLifetime / muonDecay.gamma)}`,
+            `Altitude H/γ = ${(muonDecay.contractedAltitude / 1000).toFixed(2)} km`,
+        ]);
+
+        sketch.noStroke();
+        sketch.fill(230);
+        sketch.textSize(12);
+        sketch.textAlign(sketch.CENTER, sketch.TOP);
+        sketch.text(`Undecayed: ${undecayed} of ${muonBatchSize}`, earthLeft + panelWidth / 2, groundY + 4);
+        sketch.text(`Undecayed: ${undecayed} of ${muonBatchSize}`, muonLeft + panelWidth / 2, Math.max(groundTop, restY + 4) + 4);
+
+        muonSimulatedDisplay.textContent = muonProgress >= 1
+            ? `${undecayed} of ${muonBatchSize} reached the ground`
+            : `${undecayed} of ${muonBatchSize}`;
+    };
+};
+
+// Initialize the muon views
+muonP5 = new p5(muonSketch);
+
+[muonAltitudeInput, muonVelocityInput, muonLifetimeInput].forEach(input => {
+    input.addEventListener('input', updateMuonDecay);
+});
+
+playPauseMuonBtn.addEventListener('click', () => {
+    if (!isMuonPlaying && muonProgress >= 1) {
+        muonProgress = 0; // Start a finished flight over
+    }
+    setMuonPlaying(!isMuonPlaying);
+});
+
+resetMuonBtn.addEventListener('click', () => {
+    muonProgress = 0;
+    setMuonPlaying(false);
+    muonP5.redraw();
+});
+
+newMuonBatchBtn.addEventListener('click', () => {
+    muonBatch = createMuonBatch();
+    muonProgress = 0;
+    setMuonPlaying(false);
+    muonP5.redraw();
+});
+
+// Initial update for the muon experiment when the page loads
+updateMuonDecay();
+
+// --- GPS Clock Drift Logic ---
+const gpsAltitudeInput = document.getElementById('gps-altitude');
+const gpsAltitudeDisplay = document.getElementById('gps-altitude-display');
+const gpsOrbitButtons = document.querySelectorAll('.gps-orbit-btn');
+const gpsSpeedDisplay = document.getElementById('gps-speed-display');
+const gpsPeriodDisplay = document.getElementById('gps-period-display');
+const gpsSrDisplay = document.getElementById('gps-sr-display');
+const gpsGrDisplay = document.getElementById('gps-gr-display');
+const gpsNetDisplay = document.getElementById('gps-net-display');
+const gpsPositionErrorDisplay = document.getElementById('gps-position-error-display');
+
+const GM_EARTH_SI = 3.986004418e14; // Earth's gravitational parameter in m³/s²
+const EARTH_RADIUS_SI = 6.371e6; // Mean radius of Earth in meters
+const DAY_SI = 86400; // Seconds in a day
+
+/**
+ * Rates of a clock in a circular orbit compared with one at rest on the ground (non-rotating Earth).
+ * The speed part comes from the physics core; gravity uses the weak-field potential difference.
+ * @param {number} altitude Orbital altitude above the surface in meters.
+ * @returns {{radius: number, speed: number, period: number, speedOffset: number, gravityOffset: number, netOffset: number}}
+ *   Orbit radius (m), speed (m/s) and period (s), and fractional rate changes: speedOffset is the
+ *   slowdown, gravityOffset the speedup and netOffset their difference (positive when the clock gains).
+ */
+function calculateOrbitalClockRates(altitude) {
+    const radius = EARTH_RADIUS_SI + altitude;
+    const speed = Math.sqrt(GM_EARTH_SI / radius);
+    const speedOffset = calculateTimeDilationOffset(speed / C_SI);
+    const gravityOffset = GM_EARTH_SI / C_SI ** 2 * (1 / EARTH_RADIUS_SI - 1 / radius);
+    return {
+        radius,
+        speed,
+        period: 2 * Math.PI * radius / speed,
+        speedOffset,
+        gravityOffset,
+        netOffset: gravityOffset - speedOffset,
+    };
+}
+
+// Fractional rate change as microseconds gained (+) or lost (-) per day
+function formatDailyDrift(offset) {
+    const microseconds = Math.round(offset * DAY_SI * 1e8) / 100 || 0; // || 0 turns -0 into 0
+    return `${microseconds > 0 ? '+' : ''}${microseconds.toFixed(2)} μs/day`;
+}
+
+function updateGpsDrift() {
+    const altitudeKm = parseFloat(gpsAltitudeInput.value);
+    const orbit = calculateOrbitalClockRates(altitudeKm * 1000);
+
+    gpsAltitudeDisplay.textContent = `${altitudeKm.toLocaleString('en-US')} km`;
+    gpsSpeedDisplay.textContent = isSIUnits
+        ? `${orbit.speed.toFixed(0)} m/s`
+        : `${(orbit.speed / 1000).toFixed(3)} km/s (${(orbit.speed / C_SI).toExponential(3)}c)`;
+    gpsPeriodDisplay.textContent = `${(orbit.period / 3600).toFixed(2)} h`;
+    gpsSrDisplay.textContent = formatDailyDrift(-orbit.speedOffset);
+    gpsGrDisplay.textContent = formatDailyDrift(orbit.gravityOffset);
+    gpsNetDisplay.textContent = formatDailyDrift(orbit.netOffset);
+    gpsPositionErrorDisplay.textContent = `${(Math.abs(orbit.netOffset) * DAY_SI * C_SI / 1000).toFixed(2)} km/day`;
+}
+
+gpsAltitudeInput.addEventListener('input', updateGpsDrift);
+
+gpsOrbitButtons.forEach(button => {
+    button.addEventListener('click', () => {
+        gpsAltitudeInput.value = button.dataset.altitude;
+        gpsAltitudeInput.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+});
+
+// Initial update for the GPS drift when the page loads
+updateGpsDrift();
+
+// --- Spacetime Diagram Logic (using p5.js) ---
+const velocitySpacetimeInput = document.getElementById('velocity-spacetime');
+const velocitySpacetimeDisplay = document.getElementById('velocity-spacetime-display');
+const lorentzFactorSpacetimeDisplay = document.getElementById('lorentz-factor-spacetime');
+const spacetimeCanvasContainer = document.getElementById('spacetime-canvas-container');
+const frameTableBody = document.getElementById('frame-table-body');
+const addFrameBtn = document.getElementById('add-frame-btn');
+const playNowSweepBtn = document.getElementById('play-now-sweep');
+const resetNowSweepBtn = document.getElementById('reset-now-sweep');
+const smoothBoostToggle = document.getElementById('smooth-boost-toggle');
+const calibrationToggle = document.getElementById('calibration-toggle');
+const eventConeToggle = document.getElementById('event-cone-toggle');
+const emitLightPulseBtn = document.getElementById('emit-light-pulse');
+const clearEventsBtn = document.getElementById('clear-events-btn');
+const eventTableBody = document.getElementById('event-table-body');
+const eventTableEmpty = document.getElementById('event-table-empty');
+const intervalEventASelect = document.getElementById('interval-event-a');
+const intervalEventBSelect = document.getElementById('interval-event-b');
+const intervalValueDisplay = document.getElementById('interval-value-display');
+const intervalTypeDisplay = document.getElementById('interval-type-display');
+const intervalProperLabel = document.getElementById('interval-proper-label');
+const intervalProperDisplay = document.getElementById('interval-proper-display');
+const intervalOrderDisplay = document.getElementById('interval-order-display');
+const intervalVelocityLabel = document.getElementById('interval-velocity-label');
+const intervalVelocityDisplay = document.getElementById('interval-velocity-display');
+const intervalBoostBtn = document.getElementById('interval-boost-btn');
+const worldlineTableBody = document.getElementById('worldline-table-body');
+const worldlineTableEmpty = document.getElementById('worldline-table-empty');
+const addWorldlineBtn = document.getElementById('add-worldline-btn');
+const saveScenarioBtn = document.getElementById('save-scenario-btn');
+const loadScenarioBtn = document.getElementById('load-scenario-btn');
+const scenarioFileInput = document.getElementById('scenario-file-input');
+const scenarioStatus = document.getElementById('scenario-status');
+
+let currentSpacetimeVelocity = 0; // Velocity for the moving observer
+// Exact velocity set by the interval panel's boost, which the slider can only show rounded to its step.
+// Any other change of the slider (drag, link, scenario, global velocity) clears it.
+let exactSpacetimeVelocity = null;
+// Observer frames with velocities relative to the stationary frame. The 'moving' frame follows
+// the velocity slider and is the one the primed (ct', x') readouts refer to.
+function createDefaultFrames() {
+    return [
+        { id: 'stationary', name: 'Stationary', velocity: 0, color: '#c8c8c8', suffix: '', showGrid: true, displayRapidity: 0 },
+        { id: 'moving', name: 'Moving', velocity: 0, color: '#6496ff', suffix: "'", showGrid: true, displayRapidity: 0 },
+    ];
+}
+let frames = createDefaultFrames();
+let activeFrameId = 'stationary'; // Frame drawn with orthogonal axes
+// The diagram eases toward new velocities in rapidity: each frame's displayRapidity and the
+// rapidity of the viewing boost follow their targets instead of jumping
+let viewRapidity = 0;
+let isBoostAnimationEnabled = true;
+const boostTransitionTime = 0.15; // Seconds for the remaining rapidity gap to shrink by a factor of e
+let isCalibrationVisible = false; // Invariant hyperbolae s² = ±n² and the unit marks they make on each axis
+let isEventConeVisible = false; // Light cone of the selected event, with every other event flagged against it
+let lightPulses = []; // Flashes in flight: {eventId, age} with age in diagram units of the viewed frame
+// How each causal relation is shown in the event table and as a ring on the diagram
+const causalRelationStyles = {
+    'timelike-future': { text: 'inside (future)', color: '#68d391' },
+    'timelike-past': { text: 'inside (past)', color: '#63b3ed' },
+    'lightlike-future': { text: 'on cone (future)', color: '#faf089' },
+    'lightlike-past': { text: 'on cone (past)', color: '#faf089' },
+    'spacelike': { text: 'outside', color: '#fc8181' },
+    'coincident': { text: 'same place & time', color: '#faf089' },
+};
+let isNowSweepPlaying = false;
+let nowSweepCt = null; // Viewed-frame time of the "now" line, or null when hidden
+const nowSweepSpeed = 0.5; // Diagram units per second
+let nextFrameNumber = 3;
+const frameColors = ['#f6ad55', '#68d391', '#f687b3', '#b794f4', '#4fd1c5'];
+let s; // Variable to hold the p5.js instance
+let events = []; // Array to store custom events {id, x, ct, label, color} in stationary frame coordinates
+let selectedEventId = null; // Event highlighted on the diagram and in the table
+let nextEventId = 1;
+const defaultEventColor = '#ff00ff'; // Magenta
+// Moving objects in stationary coordinates: {id, label, color, x (at ct = 0), velocity, changes: [{id, ct, velocity}]}
+let worldlines = [{ id: 1, label: 'Object 1', color: '#00c800', x: 1, velocity: 0, changes: [] }];
+let nextWorldlineId = 2;
+let nextChangeId = 1;
+const worldlineColors = ['#00c800', '#f6ad55', '#63b3ed', '#fc8181', '#f687b3', '#81e6d9'];
+const maxObjectSpeed = 0.999; // Keeps every worldline timelike
+
+function getFrame(id) {
+    return frames.find(frame => frame.id === id);
+}
+
+function getActiveFrame() {
+    return getFrame(activeFrameId) || frames[0];
+}
+
+/**
+ * Velocity of one frame as measured in another, by relativistic velocity addition.
+ * @param {object} frame Frame being observed.
+ * @param {object} observer Frame doing the measuring.
+ * @returns {number} Velocity as v/c.
+ */
+function relativeFrameVelocity(frame, observer) {
+    return calculateRelativisticVelocityAddition(frame.velocity, -observer.velocity);
+}
+
+/**
+ * Velocity of a frame relative to the view as currently drawn, mid-transition included.
+ * Collinear rapidities simply subtract.
+ * @param {object} frame Frame being drawn.
+ * @returns {number} Velocity as v/c.
+ */
+function displayedRelativeVelocity(frame) {
+    return Math.tanh(frame.displayRapidity - viewRapidity);
+}
+
+// Frames past the first two get numbered subscripts: x₃, ct₃, ...
+function frameSuffixFor(number) {
+    const subscripts = '₀₁₂₃₄₅₆₇₈₉';
+    return String(number).split('').map(digit => subscripts[Number(digit)]).join('');
+}
+
+/**
+ * Converts stationary-frame coordinates into the coordinates of the frame shown on the diagram.
+ * @param {number} ct Time coordinate in the stationary frame.
+ * @param {number} x Space coordinate in the stationary frame.
+ * @returns {{ct: number, x: number}} Coordinates in the active frame.
+ */
+function toActiveFrame(ct, x) {
+    const v = Math.tanh(viewRapidity);
+    if (v !== 0) {
+        const { tPrime, xPrime } = lorentzTransform(ct, x, v);
+        return { ct: tPrime, x: xPrime };
+    }
+    return { ct, x };
+}
+
+/**
+ * Converts coordinates read off the diagram in the active frame back into stationary-frame coordinates.
+ * @param {number} ct Time coordinate in the active frame.
+ * @param {number} x Space coordinate in the active frame.
+ * @returns {{ct: number, x: number}} Coordinates in the stationary frame.
+ */
+function fromActiveFrame(ct, x) {
+    const v = Math.tanh(viewRapidity);
+    if (v !== 0) {
+        const { t, x: xStationary } = inverseLorentzTransform(ct, x, v);
+        return { ct: t, x: xStationary };
+    }
+    return { ct, x };
+}
+
+// --- Observer frames table ---
+
+/**
+ * Rebuilds the frame table. The stationary and moving frames cannot be removed,
+ * and the stationary frame's velocity is zero by definition.
+ */
+function renderFrameTable() {
+    frameTableBody.innerHTML = '';
+    frames.forEach(frame => {
+        const isBuiltIn = frame.id === 'stationary' || frame.id === 'moving';
+        const row = document.createElement('tr');
+        row.dataset.frameId = frame.id;
+        row.innerHTML = `
+            <td><input type="radio" name="spacetime-frame" value="${frame.id}" aria-label="View from this frame"></td>
+            <td><input type="color" data-field="color" aria-label="Frame color"></td>
+            <td><input type="text" data-field="name" aria-label="Frame name"></td>
+            <td class="frame-axes">ct${frame.suffix}, x${frame.suffix}</td>
+            <td><input type="number" step="0.05" min="-0.999" max="0.999" data-field="velocity"
+                aria-label="Velocity relative to the stationary frame" ${frame.id === 'stationary' ? 'disabled' : ''}></td>
+            <td data-output="relativeVelocity"></td>
+            <td><input type="checkbox" data-field="showGrid" aria-label="Show this frame's grid"></td>
+            <td>${isBuiltIn ? '' : '<button type="button" class="delete-event-btn" aria-label="Delete frame">×</button>'}</td>
+        `;
+        frameTableBody.appendChild(row);
+    });
+    refreshFrameTable();
+}
+
+/**
+ * Updates the frame table for the current view, skipping the field being typed in.
+ */
+function refreshFrameTable() {
+    const viewFrame = getActiveFrame();
+    frameTableBody.querySelectorAll('tr').forEach(row => {
+        const frame = getFrame(row.dataset.frameId);
+        if (!frame) return;
+        row.querySelectorAll('input').forEach(input => {
+            if (input.type === 'radio') {
+                input.checked = frame === viewFrame;
+            } else if (input.type === 'checkbox') {
+                input.checked = frame.showGrid;
+            } else if (input !== document.activeElement) {
+                input.value = input.dataset.field === 'velocity' ? frame.velocity.toFixed(3) : frame[input.dataset.field];
+            }
+        });
+        row.querySelector('[data-output="relativeVelocity"]').textContent = relativeFrameVelocity(frame, viewFrame).toFixed(3);
+        row.classList.toggle('selected', frame === viewFrame);
+    });
+}
+
+function addEvent(ct, x) {
+    const id = nextEventId++;
+    events.push({ id, ct, x, label: `E${id}`, color: defaultEventColor });
+    selectedEventId = id;
+    renderEventTable();
+    scheduleLinkUpdate(); // Events placed on the canvas belong in the link too
+}
+
+function deleteEvent(id) {
+    events = events.filter(event => event.id !== id);
+    if (selectedEventId === id) {
+        selectedEventId = null;
+    }
+    renderEventTable();
+    scheduleLinkUpdate();
+    s.redraw();
+}
+
+function selectEvent(id) {
+    selectedEventId = id;
+    refreshEventTable();
+    s.redraw();
+}
+
+/**
+ * Rebuilds the event table rows. Call when events are added or removed;
+ * refreshEventTable keeps the values current in between.
+ */
+function renderEventTable() {
+    eventTableBody.innerHTML = '';
+    events.forEach(event => {
+        const row = document.createElement('tr');
+        row.dataset.eventId = event.id;
+        row.innerHTML = `
+            <td><input type="color" data-field="color" aria-label="Event color"></td>
+            <td><input type="text" data-field="label" aria-label="Event label"></td>
+            <td><input type="number" step="0.01" data-field="ct" aria-label="ct coordinate"></td>
+            <td><input type="number" step="0.01" data-field="x" aria-label="x coordinate"></td>
+            <td><input type="number" step="0.01" data-field="ctPrime" aria-label="ct' coordinate"></td>
+            <td><input type="number" step="0.01" data-field="xPrime" aria-label="x' coordinate"></td>
+            <td data-output="causal"></td>
+            <td><button type="button" class="delete-event-btn" aria-label="Delete event">×</button></td>
+        `;
+        eventTableBody.appendChild(row);
+    });
+    eventTableEmpty.classList.toggle('hidden', events.length > 0);
+    renderIntervalSelectors();
+    refreshEventTable();
+}
+
+/**
+ * Updates the table's coordinates for the current velocity, skipping the field being typed in.
+ */
+function refreshEventTable() {
+    eventTableBody.querySelectorAll('tr').forEach(row => {
+        const event = events.find(e => e.id === Number(row.dataset.eventId));
+        if (!event) return;
+
+        const { tPrime, xPrime } = lorentzTransform(event.ct, event.x, currentSpacetimeVelocity);
+        const values = {
+            color: event.color,
+            label: event.label,
+            ct: event.ct.toFixed(2),
+            x: event.x.toFixed(2),
+            ctPrime: tPrime.toFixed(2),
+            xPrime: xPrime.toFixed(2),
+        };
+        row.querySelectorAll('input').forEach(input => {
+            if (input !== document.activeElement) {
+                input.value = values[input.dataset.field];
+            }
+        });
+        row.classList.toggle('selected', event.id === selectedEventId);
+        const relation = getConeRelation(event);
+        row.querySelector('[data-output="causal"]').textContent = relation
+            ? causalRelationStyles[relation].text
+            : (event === getConeSourceEvent() ? 'source' : '—');
+    });
+    emitLightPulseBtn.disabled = selectedEventId === null;
+}
+
+// --- Light cones of individual events ---
+
+function getConeSourceEvent() {
+    return isEventConeVisible ? events.find(e => e.id === selectedEventId) || null : null;
+}
+
+/**
+ * Where an event lies relative to the light cone being shown, or null when there is none.
+ * @param {object} event Event to locate.
+ * @returns {string|null} A calculateCausalRelation result.
+ */
+function getConeRelation(event) {
+    const source = getConeSourceEvent();
+    if (!source || source === event) return null;
+    return calculateCausalRelation(source, event);
+}
+
+// --- Moving objects (worldlines) ---
+
+function clampObjectVelocity(v) {
+    return Math.max(-maxObjectSpeed, Math.min(maxObjectSpeed, v));
+}
+
+/**
+ * Rebuilds the moving-object table: one row per object followed by one row per velocity change.
+ */
+function renderWorldlineTable() {
+    worldlineTableBody.innerHTML = '';
+    worldlines.forEach(worldline => {
+        const row = document.createElement('tr');
+        row.dataset.worldlineId = worldline.id;
+        row.innerHTML = `
+            <td><input type="color" data-field="color" aria-label="Object color"></td>
+            <td><input type="text" data-field="label" aria-label="Object label"></td>
+            <td><input type="number" step="0.1" data-field="x" aria-label="Position at ct = 0"></td>
+            <td>—</td>
+            <td><input type="number" step="0.05" min="-0.999" max="0.999" data-field="velocity" aria-label="Velocity as v/c"></td>
+            <td data-output="velocityPrime"></td>
+            <td>
+                <button type="button" class="add-change-btn" aria-label="Add a velocity change">+ Change</button>
+                <button type="button" class="delete-event-btn" aria-label="Delete object">×</button>
+            </td>
+        `;
+        worldlineTableBody.appendChild(row);
+
+        worldline.changes.forEach(change => {
+            const changeRow = document.createElement('tr');
+            changeRow.className = 'worldline-change';
+            changeRow.dataset.worldlineId = worldline.id;
+            changeRow.dataset.changeId = change.id;
+            changeRow.innerHTML = `
+                <td></td>
+                <td>then</td>
+                <td></td>
+                <td><input type="number" step="0.1" data-field="ct" aria-label="Stationary time of the velocity change"></td>
+                <td><input type="number" step="0.05" min="-0.999" max="0.999" data-field="velocity" aria-label="New velocity as v/c"></td>
+                <td data-output="velocityPrime"></td>
+                <td><button type="button" class="delete-event-btn" aria-label="Delete velocity change">×</button></td>
+            `;
+            worldlineTableBody.appendChild(changeRow);
+        });
+    });
+    worldlineTableEmpty.classList.toggle('hidden', worldlines.length > 0);
+    refreshWorldlineTable();
+}
+
+/**
+ * Updates the object table, including each velocity as seen by the moving observer.
+ */
+function refreshWorldlineTable() {
+    worldlineTableBody.querySelectorAll('tr').forEach(row => {
+        const worldline = worldlines.find(w => w.id === Number(row.dataset.worldlineId));
+        if (!worldline) return;
+        const change = row.dataset.changeId
+            ? worldline.changes.find(c => c.id === Number(row.dataset.changeId))
+            : null;
+        const source = change || worldline;
+
+        const values = {
+            color: worldline.color,
+            label: worldline.label,
+            x: worldline.x.toFixed(2),
+            ct: change ? change.ct.toFixed(2) : '',
+            velocity: source.velocity.toFixed(3),
+        };
+        row.querySelectorAll('input').forEach(input => {
+            if (input !== document.activeElement) {
+                input.value = values[input.dataset.field];
+            }
+        });
+        // u' = (u - v) / (1 - uv): adding -v to the object's velocity
+        const velocityPrime = calculateRelativisticVelocityAddition(source.velocity, -currentSpacetimeVelocity);
+        row.querySelector('[data-output="velocityPrime"]').textContent = velocityPrime.toFixed(3);
+    });
+}
+
+/**
+ * Worldline vertices in active-frame coordinates, covering a window of the given half-size.
+ * @param {object} worldline Moving object in stationary coordinates.
+ * @param {number} halfExtent Half-size of the visible region, in diagram units.
+ * @returns {Array<{ct: number, x: number}>}
+ */
+function activeFrameWorldline(worldline, halfExtent) {
+    // A square window in the moving frame spans at most 2γ times its size in stationary time
+    const span = 2 * Math.cosh(viewRapidity) * halfExtent;
+    return calculateWorldline(worldline.x, worldline.velocity, worldline.changes, -span, span)
+        .map(point => toActiveFrame(point.ct, point.x));
+}
+
+// --- Interval and causality between two chosen events ---
+let intervalBoostVelocity = null; // Velocity offered by the "Set Observer Velocity" button
+
+function getIntervalPair() {
+    const a = events.find(e => e.id === Number(intervalEventASelect.value));
+    const b = events.find(e => e.id === Number(intervalEventBSelect.value));
+    return a && b && a !== b ? [a, b] : null;
+}
+
+/**
+ * Rebuilds the event pickers, keeping the current choices when those events still exist.
+ */
+function renderIntervalSelectors() {
+    [intervalEventASelect, intervalEventBSelect].forEach(select => {
+        const previous = Number(select.value);
+        // Event B avoids repeating Event A whenever another event is available
+        const taken = select === intervalEventBSelect ? Number(intervalEventASelect.value) : null;
+        select.innerHTML = '';
+        events.forEach(event => {
+            const option = document.createElement('option');
+            option.value = event.id;
+            select.appendChild(option);
+        });
+        const fallback = events.find(e => e.id !== taken) || events[0];
+        const keep = events.some(e => e.id === previous) && (previous !== taken || events.length < 2);
+        select.value = keep ? previous : (fallback ? fallback.id : '');
+    });
+}
+
+/**
+ * Refreshes the interval readouts for the chosen pair at the current observer velocity.
+ */
+function updateIntervalPanel() {
+    // Option texts follow label edits
+    [intervalEventASelect, intervalEventBSelect].forEach(select => {
+        Array.from(select.options).forEach(option => {
+            const event = events.find(e => e.id === Number(option.value));
+            if (event) option.textContent = event.label;
+        });
+    });
+
+    const pair = getIntervalPair();
+    intervalBoostVelocity = null;
+    intervalBoostBtn.disabled = true;
+    if (!pair) {
+        [intervalValueDisplay, intervalProperDisplay, intervalOrderDisplay, intervalVelocityDisplay]
+            .forEach(display => { display.textContent = '—'; });
+        intervalTypeDisplay.textContent = 'Choose two different events';
+        return;
+    }
+
+    const [a, b] = pair;
+    const separation = classifyEventSeparation(a, b);
+    const dct = b.ct - a.ct;
+    const primedA = lorentzTransform(a.ct, a.x, currentSpacetimeVelocity);
+    const primedB = lorentzTransform(b.ct, b.x, currentSpacetimeVelocity);
+    const dctPrime = primedB.tPrime - primedA.tPrime;
+    const orderText = delta => (Math.abs(delta) < 1e-9 ? 'simultaneous' : delta > 0 ? `${a.label} first` : `${b.label} first`);
+
+    intervalValueDisplay.textContent = separation.intervalSquared.toFixed(3);
+    intervalTypeDisplay.textContent = {
+        timelike: 'Timelike: one event can cause the other',
+        spacelike: 'Spacelike: no signal can connect them',
+        lightlike: 'Lightlike: connected by a light ray',
+    }[separation.type];
+
+    if (separation.type === 'timelike') {
+        intervalProperLabel.textContent = 'Proper Time (cτ):';
+        intervalProperDisplay.textContent = separation.properTime.toFixed(3);
+    } else if (separation.type === 'spacelike') {
+        intervalProperLabel.textContent = 'Proper Distance:';
+        intervalProperDisplay.textContent = separation.properDistance.toFixed(3);
+    } else {
+        intervalProperLabel.textContent = 'Proper Time / Proper Distance:';
+        intervalProperDisplay.textContent = '0 (light travels between them)';
+    }
+
+    intervalOrderDisplay.textContent = separation.isOrderFrameDependent
+        ? `Frame-dependent (S: ${orderText(dct)}, S': ${orderText(dctPrime)})`
+        : `Same in every frame (${orderText(dct)})`;
+
+    const boost = separation.type === 'spacelike' ? separation.simultaneityVelocity : separation.colocationVelocity;
+    if (separation.type === 'spacelike') {
+        intervalVelocityLabel.textContent = 'Simultaneous for Observer Velocity:';
+    } else if (separation.type === 'timelike') {
+        intervalVelocityLabel.textContent = 'Same Place for Observer Velocity:';
+    } else {
+        intervalVelocityLabel.textContent = 'Special Frame Velocity:';
+    }
+
+    if (boost === null) {
+        intervalVelocityDisplay.textContent = 'none (would need v = c)';
+    } else if (Math.abs(boost) > parseFloat(velocitySpacetimeInput.max)) {
+        intervalVelocityDisplay.textContent = `${boost.toFixed(4)}c (beyond the slider's range)`;
+    } else {
+        intervalVelocityDisplay.textContent = isSIUnits ? `${(boost * C_SI).toExponential(2)} m/s` : `${boost.toFixed(3)}c`;
+        intervalBoostVelocity = boost;
+        intervalBoostBtn.disabled = false;
+    }
+}
+
+// --- Diagram export ---
+
+/**
+ * Offers a file to the user as a download.
+ * @param {Blob} blob File contents.
+ * @param {string} filename Suggested file name.
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Records p5-style drawing calls as SVG elements so a sketch's picture can be exported as vectors.
+ * Covers the subset of the p5 API the spacetime diagram uses. Colors are parsed and text is
+ * measured by the sketch; angles are in degrees, like the sketch's angleMode.
+ * @param {p5} sketch Sketch used for colors and text metrics.
+ * @param {number} width Picture width in pixels.
+ * @param {number} height Picture height in pixels.
+ * @returns {object} Drawing target with p5's method names, plus toSVG().
+ */
+function createSvgRecorder(sketch, width, height) {
+    const elements = [];
+    const stack = [];
+    let state = {
+        matrix: [1, 0, 0, 1, 0, 0], // SVG matrix(a b c d e f)
+        stroke: [0, 0, 0, 255],
+        fill: [255, 255, 255, 255],
+        strokeWeight: 1,
+        textSize: 12,
+    };
+    let shapeVertices = null;
+
+    const num = n => String(Math.round(n * 100) / 100);
+    const levelsOf = args => sketch.color(...args).levels;
+    const escapeXml = text => String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+
+    const multiply = (m, [a, b, c, d, e, f]) => [
+        m[0] * a + m[2] * b,
+        m[1] * a + m[3] * b,
+        m[0] * c + m[2] * d,
+        m[1] * c + m[3] * d,
+        m[0] * e + m[2] * f + m[4],
+        m[1] * e + m[3] * f + m[5],
+    ];
+
+    const paintAttrs = (useFill = true) => {
+        const parts = [];
+        if (useFill && state.fill) {
+            parts.push(`fill="rgb(${state.fill.slice(0, 3).join(',')})"`);
+            if (state.fill[3] < 255) parts.push(`fill-opacity="${num(state.fill[3] / 255)}"`);
+        } else {
+            parts.push('fill="none"');
+        }
+        if (state.stroke) {
+            parts.push(`stroke="rgb(${state.stroke.slice(0, 3).join(',')})"`, `stroke-width="${num(state.strokeWeight)}"`,
+                'stroke-linecap="round"', 'stroke-linejoin="round"');
+            if (state.stroke[3] < 255) parts.push(`stroke-opacity="${num(state.stroke[3] / 255)}"`);
+        }
+        return parts.join(' ');
+    };
+    const transformAttr = () => `transform="matrix(${state.matrix.map(num).join(' ')})"`;
+    const add = (tag, geometry, useFill = true) => {
+        elements.push(`<${tag} ${geometry} ${paintAttrs(useFill)} ${transformAttr()}/>`);
+    };
+
+    return {
+        width,
+        height,
+        min: (...args) => sketch.min(...args),
+        max: (...args) => sketch.max(...args),
+        constrain: (n, low, high) => Math.min(Math.max(n, low), high),
+        atan2: (y, x) => Math.atan2(y, x) * 180 / Math.PI,
+        color: (...args) => sketch.color(...args),
+        textWidth(text) {
+            sketch.push();
+            sketch.textSize(state.textSize);
+            const measured = sketch.textWidth(text);
+            sketch.pop();
+            return measured;
+        },
+
+        background(...args) {
+            const [r, g, b] = levelsOf(args);
+            elements.push(`<rect width="${width}" height="${height}" fill="rgb(${r},${g},${b})"/>`);
+        },
+        push() {
+            stack.push({ ...state, matrix: [...state.matrix] });
+        },
+        pop() {
+            state = stack.pop();
+        },
+        translate(x, y) {
+            state.matrix = multiply(state.matrix, [1, 0, 0, 1, x, y]);
+        },
+        scale(sx, sy = sx) {
+            state.matrix = multiply(state.matrix, [sx, 0, 0, sy, 0, 0]);
+        },
+        rotate(degrees) {
+            const angle = degrees * Math.PI / 180;
+            state.matrix = multiply(state.matrix, [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]);
+        },
+        stroke(...args) {
+            state.stroke = levelsOf(args);
+        },
+        noStroke() {
+            state.stroke = null;
+        },
+        fill(...args) {
+            state.fill = levelsOf(args);
+        },
+        noFill() {
+            state.fill = null;
+        },
+        strokeWeight(weight) {
+            state.strokeWeight = weight;
+        },
+        textSize(size) {
+            state.textSize = size;
+        },
+
+        line(x1, y1, x2, y2) {
+            if (!state.stroke) return;
+            add('line', `x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}"`, false);
+        },
+        ellipse(x, y, w, h = w) {
+            add('ellipse', `cx="${num(x)}" cy="${num(y)}" rx="${num(w / 2)}" ry="${num(h / 2)}"`);
+        },
+        triangle(x1, y1, x2, y2, x3, y3) {
+            add('polygon', `points="${[x1, y1, x2, y2, x3, y3].map(num).join(' ')}"`);
+        },
+        beginShape() {
+            shapeVertices = [];
+        },
+        vertex(x, y) {
+            shapeVertices.push(`${num(x)},${num(y)}`);
+        },
+        endShape(mode) {
+            const isClosed = mode === sketch.CLOSE;
+            add(isClosed ? 'polygon' : 'polyline', `points="${shapeVertices.join(' ')}"`, isClosed);
+            shapeVertices = null;
+        },
+        // The diagram draws text center-aligned on both axes (textAlign(CENTER, CENTER))
+        text(content, x, y) {
+            if (!state.fill) return;
+            elements.push(`<text x="${num(x)}" y="${num(y)}" font-size="${num(state.textSize)}" ` +
+                `text-anchor="middle" dominant-baseline="central" ${paintAttrs()} ${transformAttr()}>${escapeXml(content)}</text>`);
+        },
+
+        /**
+         * @returns {string} A standalone SVG document of everything drawn so far, clipped to the picture.
+         */
+        toSVG() {
+            return [
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif">`,
+                `<defs><clipPath id="diagram-clip"><rect width="${width}" height="${height}"/></clipPath></defs>`,
+                '<g clip-path="url(#diagram-clip)">',
+                ...elements,
+                '</g>',
+                '</svg>',
+            ].join('\n');
+        },
+    };
+}
+
+// --- Saved scenarios ---
+
+/**
+ * Collects everything a saved scenario restores, in the shape serializeScenario expects.
+ * @returns {object} Diagram state.
+ */
+function getSpacetimeScenario() {
+    return {
+        units: isSIUnits ? 'SI' : 'natural',
+        velocity: currentSpacetimeVelocity,
+        viewFrame: activeFrameId,
+        frames,
+        events,
+        worldlines,
+        view: s.getView(),
+    };
+}
+
+/**
+ * Replaces the frames with saved ones and views the chosen frame. Added frames are
+ * renumbered from 3 in the order given; fields left out keep their defaults.
+ * @param {Array<object>} savedFrames Frames as {id, name, color, showGrid, velocity}.
+ * @param {string} viewFrame Id, among savedFrames or the built-in ones, of the frame to view.
+ */
+function restoreFrames(savedFrames, viewFrame) {
+    const frameIds = { stationary: 'stationary', moving: 'moving' };
+    frames = createDefaultFrames();
+    nextFrameNumber = 3;
+    savedFrames.forEach(saved => {
+        let frame = getFrame(saved.id);
+        if (!frame) {
+            const number = nextFrameNumber++;
+            const velocity = Math.max(-0.999, Math.min(0.999, saved.velocity));
+            frame = {
+                id: `frame-${number}`,
+                name: `Frame ${number}`,
+                velocity,
+                color: frameColors[(number - 3) % frameColors.length],
+                suffix: frameSuffixFor(number),
+                showGrid: false,
+                displayRapidity: Math.atanh(velocity),
+            };
+            frames.push(frame);
+            frameIds[saved.id] = frame.id;
+        }
+        ['name', 'color', 'showGrid'].forEach(field => {
+            if (saved[field] !== undefined) frame[field] = saved[field];
+        });
+    });
+    activeFrameId = frameIds[viewFrame];
+}
+
+/**
+ * Replaces the events with saved ones, numbering them afresh.
+ * @param {Array<object>} savedEvents Events as {ct, x, label, color}; label and color are optional.
+ */
+function restoreEvents(savedEvents) {
+    events = savedEvents.map((saved, i) => ({
+        id: i + 1,
+        ct: saved.ct,
+        x: saved.x,
+        label: saved.label ?? `E${i + 1}`,
+        color: saved.color ?? defaultEventColor,
+    }));
+    nextEventId = events.length + 1;
+    selectedEventId = null;
+    lightPulses = [];
+}
+
+/**
+ * Replaces the diagram's contents with a validated scenario.
+ * @param {object} scenario Result of parseScenario.
+ */
+function applySpacetimeScenario(scenario) {
+    restoreFrames(scenario.frames, scenario.viewFrame);
+    restoreEvents(scenario.events);
+    nextChangeId = 1;
+    worldlines = scenario.worldlines.map((saved, i) => ({
+        id: i + 1,
+        label: saved.label ?? `Object ${i + 1}`,
+        color: saved.color ?? worldlineColors[i % worldlineColors.length],
+        x: saved.x,
+        velocity: clampObjectVelocity(saved.velocity),
+        changes: saved.changes.map(change => ({ id: nextChangeId++, ct: change.ct, velocity: clampObjectVelocity(change.velocity) })),
+    }));
+    nextWorldlineId = worldlines.length + 1;
+
+    if ((scenario.units === 'SI') !== isSIUnits) {
+        unitsToggle.checked = scenario.units === 'SI';
+        unitsToggle.dispatchEvent(new Event('change'));
+    }
+    renderFrameTable();
+    renderEventTable();
+    renderWorldlineTable();
+    velocitySpacetimeInput.value = scenario.velocity;
+    velocitySpacetimeInput.dispatchEvent(new Event('input'));
+    if (scenario.view) {
+        s.setView(scenario.view);
+    } else {
+        s.resetView();
+    }
+    scheduleLinkUpdate();
+}
+
+/**
+ * Shows the outcome of saving or loading a scenario under the buttons.
+ * @param {string} message Text to show.
+ * @param {boolean} isError Whether the message reports a failure.
+ */
+function showScenarioStatus(message, isError) {
+    scenarioStatus.textContent = message;
+    scenarioStatus.classList.toggle('text-red-400', isError);
+    scenarioStatus.classList.toggle('text-green-400', !isError);
+}
+
+/**
+ * The p5.js sketch for the spacetime diagram.
+ * @param {p5} sketch The p5.js instance.
+ */
+const sketch = function (sketch) {
+    let scaleFactor = 50;
+    let originX, originY;
+    let unitScale = C_norm; // Add this to handle SI unit scaling
+
+    // Pan and zoom: the active-frame point shown at the canvas center, and a multiplier on the base scale
+    let viewCenterX = 0;
+    let viewCenterCt = 0;
+    let zoom = 1;
+    const minZoom = 0.02;
+    const maxZoom = 50;
+
+    // Base scale fits about five units across the smaller canvas side
+    function baseScaleFactor() {
+        return sketch.min(sketch.width, sketch.height) / 5;
+    }
+
+    // Recomputes the pixel origin and scale from the pan and zoom state
+    function updateViewTransform() {
+        scaleFactor = baseScaleFactor() * zoom;
+        originX = sketch.width / 2 - viewCenterX * scaleFactor * unitScale;
+        originY = sketch.height / 2 + viewCenterCt * scaleFactor * unitScale;
+    }
+
+    /**
+     * Zooms about a canvas point, keeping the coordinates under it fixed.
+     * @param {number} px Canvas x in pixels.
+     * @param {number} py Canvas y in pixels.
+     * @param {number} factor Zoom multiplier (> 1 zooms in).
+     */
+    function zoomAt(px, py, factor) {
+        const unitsX = (px - originX) / (scaleFactor * unitScale);
+        const unitsCt = -(py - originY) / (scaleFactor * unitScale);
+        zoom = sketch.constrain(zoom * factor, minZoom, maxZoom);
+        const pixelsPerUnit = baseScaleFactor() * zoom * unitScale;
+        viewCenterX = unitsX - (px - sketch.width / 2) / pixelsPerUnit;
+        viewCenterCt = unitsCt + (py - sketch.height / 2) / pixelsPerUnit;
+        updateViewTransform();
+    }
+
+    // Moves the view with the pointer by a pixel offset
+    function panBy(dxPixels, dyPixels) {
+        viewCenterX -= dxPixels / (scaleFactor * unitScale);
+        viewCenterCt += dyPixels / (scaleFactor * unitScale);
+        updateViewTransform();
+    }
+
+    sketch.zoomBy = function (factor) {
+        zoomAt(sketch.width / 2, sketch.height / 2, factor);
+        sketch.redraw();
+    };
+
+    sketch.resetView = function () {
+        viewCenterX = 0;
+        viewCenterCt = 0;
+        zoom = 1;
+        updateViewTransform();
+        sketch.redraw();
+    };
+
+    // Pan and zoom state as saved in scenarios
+    sketch.getView = function () {
+        return { centerX: viewCenterX, centerCt: viewCenterCt, zoom };
+    };
+
+    sketch.setView = function (view) {
+        viewCenterX = view.centerX;
+        viewCenterCt = view.centerCt;
+        zoom = sketch.constrain(view.zoom, minZoom, maxZoom);
+        updateViewTransform();
+        sketch.redraw();
+    };
+
+    /**
+     * Renders the diagram as it is on screen into a standalone SVG document.
+     * @returns {string} SVG markup.
+     */
+    sketch.exportSVG = function () {
+        const recorder = createSvgRecorder(sketch, sketch.width, sketch.height);
+        renderDiagram(recorder);
+        return recorder.toSVG();
+    };
+
+    /**
+     * Renders the diagram as it is on screen at a higher pixel density and saves it as a PNG.
+     * @param {number} density Pixels per canvas pixel.
+     */
+    sketch.exportPNG = function (density) {
+        const g = sketch.createGraphics(sketch.width, sketch.height);
+        g.pixelDensity(density);
+        g.angleMode(g.DEGREES);
+        g.textAlign(g.CENTER, g.CENTER);
+        renderDiagram(g);
+        sketch.saveCanvas(g, 'spacetime-diagram', 'png');
+        g.remove();
+    };
+
+    // Tick labels in c-units, or meters when SI units are on (one unit is one light-second)
+    function formatDiagramTick(value, step) {
+        if (!isSIUnits) {
+            return formatTick(value, step);
+        }
+        return Number((value * C_SI).toPrecision(3)).toExponential();
+    }
+
+    // Frame colors are hex strings; grids and highlights use them translucently
+    function frameColorWithAlpha(hex, alpha) {
+        const color = sketch.color(hex);
+        color.setAlpha(alpha);
+        return color;
+    }
+
+    let lastAnimationTime = null; // null while the diagram is idle (noLoop)
+
+    /**
+     * Moves every displayed rapidity part of the way toward its target.
+     * @param {number} dt Seconds since the previous frame.
+     * @returns {boolean} True while any boost is still in transition.
+     */
+    function stepBoostTransition(dt) {
+        const blend = isBoostAnimationEnabled ? 1 - Math.exp(-dt / boostTransitionTime) : 1;
+        let isTransitioning = false;
+        const approach = (current, target) => {
+            const next = current + (target - current) * blend;
+            if (Math.abs(target - next) < 1e-4) return target;
+            isTransitioning = true;
+            return next;
+        };
+        frames.forEach(frame => {
+            frame.displayRapidity = approach(frame.displayRapidity, Math.atanh(frame.velocity));
+        });
+        viewRapidity = approach(viewRapidity, Math.atanh(getActiveFrame().velocity));
+        return isTransitioning;
+    }
+
+    // Position where a worldline (active-frame vertices, ordered by ct) crosses a given time
+    function worldlineCrossing(points, ct) {
+        for (let i = 1; i < points.length; i++) {
+            const a = points[i - 1];
+            const b = points[i];
+            if (a.ct <= ct && b.ct >= ct && b.ct > a.ct) {
+                return a.x + (b.x - a.x) * ((ct - a.ct) / (b.ct - a.ct));
+            }
+        }
+        return null;
+    }
+
+    sketch.setup = function () {
+        sketch.pixelDensity(1);
+        
+        // Create the canvas inside the specified container
+        const canvas = sketch.createCanvas(spacetimeCanvasContainer.offsetWidth, spacetimeCanvasContainer.offsetHeight);
+        canvas.parent('spacetime-canvas-container');
+        sketch.angleMode(sketch.DEGREES); // Use degrees for easy angle calculations
+        sketch.rectMode(sketch.CENTER); // For drawing rectangles from their center
+        sketch.textAlign(sketch.CENTER, sketch.CENTER);
+
+        unitScale = 1 / C_norm; // Scale down for SI units
+
+        // Origin and scale follow the canvas size, the pan and the zoom
+        updateViewTransform();
+        sketch.windowResized = () => {
+            sketch.resizeCanvas(spacetimeCanvasContainer.offsetWidth, spacetimeCanvasContainer.offsetHeight);
+            updateViewTransform();
+            sketch.redraw(); // Request redraw on resize
+        };
+        sketch.noLoop(); // Draw only when needed (on velocity change, frame change, or event click)
+    };
+
+    /**
+     * Canvas edges relative to the diagram origin (pixels, +y up) and a line length that always
+     * reaches past them.
+     * @returns {{unitPixels: number, left: number, right: number, top: number, bottom: number, extent: number}}
+     */
+    function visibleBounds() {
+        const unitPixels = scaleFactor * unitScale;
+        const left = -originX;
+        const right = sketch.width - originX;
+        const top = originY;
+        const bottom = originY - sketch.height;
+        const extent = 1.05 * Math.hypot(Math.max(-left, right), Math.max(top, -bottom));
+        return { unitPixels, left, right, top, bottom, extent };
+    }
+
+    // Moves the "now" sweep and the light pulses forward by dt seconds
+    function advanceDiagramAnimations(dt) {
+        const { unitPixels, top, bottom, extent } = visibleBounds();
+        const visibleCtMin = bottom / unitPixels;
+        const visibleCtMax = top / unitPixels;
+        if (isNowSweepPlaying) {
+            if (nowSweepCt === null || nowSweepCt >= visibleCtMax) {
+                nowSweepCt = visibleCtMin; // Start at the bottom of the view, or over after a finished sweep
+            }
+            // Sweeps cross the view in about ten seconds at any zoom
+            nowSweepCt += nowSweepSpeed * (visibleCtMax - visibleCtMin) / 5 * dt;
+            if (nowSweepCt > visibleCtMax) {
+                nowSweepCt = visibleCtMax;
+                setNowSweepPlaying(false);
+            }
+        }
+
+        const pulseSpeed = (visibleCtMax - visibleCtMin) / 4; // Crosses the view in about four seconds
+        lightPulses.forEach(pulse => { pulse.age += pulseSpeed * dt; });
+        lightPulses = lightPulses.filter(pulse =>
+            events.some(e => e.id === pulse.eventId) && pulse.age * unitPixels < 2 * extent);
+    }
+
+    /**
+     * Draws the whole diagram for the current state. The target is the sketch itself, or an
+     * export surface with the same drawing API (an offscreen p5.Graphics or an SVG recorder).
+     * @param {object} g Drawing target.
+     */
+    function renderDiagram(g) {
+        g.background(40, 40, 60); // Dark background
+        g.push();
+        g.translate(originX, originY); // Move origin to the (panned) diagram origin
+        g.scale(1, -1); // Flip Y-axis so +t is upwards (standard physics convention)
+
+        const { unitPixels, left, right, top, bottom, extent } = visibleBounds();
+        const visibleCorners = [[left, top], [right, top], [left, bottom], [right, bottom]]
+            .map(([px, py]) => ({ x: px / unitPixels, ct: py / unitPixels }));
+
+        // --- Draw light cone (ct = +/- x) - always the same ---
+        g.stroke(255, 255, 0, 150); // Yellow, semi-transparent
+        g.strokeWeight(2);
+        // Lines extending past the canvas edges
+        g.line(-extent, -extent, extent, extent); // ct = x
+        g.line(-extent, extent, extent, -extent); // ct = -x
+        g.noStroke();
+        g.fill(255, 255, 0, 50); // Light yellow fill
+        // Draw light cone triangles, ensure they cover the area
+        g.triangle(0, 0, -extent, extent, extent, extent); // Future light cone
+        g.triangle(0, 0, -extent, -extent, extent, -extent); // Past light cone
+
+
+        const viewFrame = getActiveFrame();
+        const tickLabels = []; // Drawn with the other text once the y-axis is flipped back
+
+        // --- Draw every frame sheared by its velocity relative to the view ---
+        // The viewing frame comes out orthogonal (u = 0) once any transition has settled
+        frames.forEach(frame => {
+            const u = displayedRelativeVelocity(frame);
+            const frameGamma = calculateLorentzFactor(u);
+
+            // The frame's own coordinates of the visible corners set its grid range and spacing
+            const cornersInFrame = visibleCorners.map(c => ({
+                x: frameGamma * (c.x - u * c.ct),
+                ct: frameGamma * (c.ct - u * c.x),
+            }));
+            const xs = cornersInFrame.map(c => c.x);
+            const cts = cornersInFrame.map(c => c.ct);
+            const xRange = [Math.min(...xs), Math.max(...xs)];
+            const ctRange = [Math.min(...cts), Math.max(...cts)];
+            const step = niceTickStep(Math.max(xRange[1] - xRange[0], ctRange[1] - ctRange[0]), 6);
+            const ticksIn = range => {
+                const ticks = [];
+                for (let k = Math.ceil(range[0] / step); k <= Math.floor(range[1] / step); k++) {
+                    ticks.push(k * step);
+                }
+                return ticks;
+            };
+
+            if (frame.showGrid) {
+                // Lines of simultaneity ct_F = k are ct = u x + k/γ, lines of constant position
+                // x_F = k are x = u ct + k/γ (both in the viewing frame's coordinates)
+                g.stroke(frameColorWithAlpha(frame.color, 100));
+                g.strokeWeight(frame === viewFrame ? 0.5 : 0.7);
+                ticksIn(ctRange).forEach(k => {
+                    const offset = (k / frameGamma) * unitPixels;
+                    g.line(-extent, -u * extent + offset, extent, u * extent + offset);
+                });
+                ticksIn(xRange).forEach(k => {
+                    const offset = (k / frameGamma) * unitPixels;
+                    g.line(-u * extent + offset, -extent, u * extent + offset, extent);
+                });
+            }
+
+            g.stroke(frame.color);
+            g.strokeWeight(1.5);
+            g.line(-extent, -u * extent, extent, u * extent); // x_F axis: ct = u x
+            g.line(-u * extent, -extent, u * extent, extent); // ct_F axis: x = u ct
+
+            // Tick marks where the frame's axes reach whole steps: x_F = k sits at (γk, γuk),
+            // ct_F = k at (γuk, γk) in the viewing frame
+            const norm = Math.sqrt(1 + u * u);
+            const tickHalf = 4;
+            const isVisible = (px, py) => px >= left && px <= right && py >= bottom && py <= top;
+            const textSize = frame === viewFrame ? 11 : 10;
+            ticksIn(xRange).forEach(k => {
+                if (Math.abs(k) < step / 2) return;
+                const px = frameGamma * k * unitPixels;
+                const py = frameGamma * u * k * unitPixels;
+                if (!isVisible(px, py)) return;
+                g.line(px + u * tickHalf / norm, py - tickHalf / norm, px - u * tickHalf / norm, py + tickHalf / norm);
+                tickLabels.push({ text: formatDiagramTick(k, step), x: px, y: py - 12, color: frame.color, size: textSize });
+            });
+            ticksIn(ctRange).forEach(k => {
+                if (Math.abs(k) < step / 2) return;
+                const px = frameGamma * u * k * unitPixels;
+                const py = frameGamma * k * unitPixels;
+                if (!isVisible(px, py)) return;
+                g.line(px - tickHalf / norm, py + u * tickHalf / norm, px + tickHalf / norm, py - u * tickHalf / norm);
+                const label = formatDiagramTick(k, step);
+                tickLabels.push({ text: label, x: px - 8 - g.textWidth(label) / 2, y: py, color: frame.color, size: textSize });
+            });
+        });
+
+        // --- Light cone of the selected event (45° in every frame) ---
+        const coneSource = getConeSourceEvent();
+        if (coneSource) {
+            const apex = toActiveFrame(coneSource.ct, coneSource.x);
+            const ax = apex.x * unitPixels;
+            const act = apex.ct * unitPixels;
+            g.noStroke();
+            g.fill(125, 211, 252, 45); // Light sky blue
+            g.triangle(ax, act, ax - 2 * extent, act + 2 * extent, ax + 2 * extent, act + 2 * extent); // Future cone
+            g.triangle(ax, act, ax - 2 * extent, act - 2 * extent, ax + 2 * extent, act - 2 * extent); // Past cone
+            g.stroke(125, 211, 252, 200);
+            g.strokeWeight(1.5);
+            g.line(ax - 2 * extent, act - 2 * extent, ax + 2 * extent, act + 2 * extent);
+            g.line(ax - 2 * extent, act + 2 * extent, ax + 2 * extent, act - 2 * extent);
+        }
+
+        // --- Light pulses: flashes moving left and right at c from their events ---
+        lightPulses.forEach(pulse => {
+            const source = events.find(e => e.id === pulse.eventId);
+            const origin = toActiveFrame(source.ct, source.x);
+            const ox = origin.x * unitPixels;
+            const oct = origin.ct * unitPixels;
+            const reach = pulse.age * unitPixels;
+            g.stroke(255, 255, 150, 230);
+            g.strokeWeight(3);
+            g.line(ox, oct, ox - reach, oct + reach);
+            g.line(ox, oct, ox + reach, oct + reach);
+            g.noStroke();
+            g.fill(255, 255, 200);
+            g.ellipse(ox - reach, oct + reach, 9, 9);
+            g.ellipse(ox + reach, oct + reach, 9, 9);
+        });
+
+        // --- Calibration hyperbolae: ct² - x² = ±n² look the same in every frame ---
+        if (isCalibrationVisible) {
+            const hyperbolaStep = niceTickStep(Math.max(right - left, top - bottom) / unitPixels, 6);
+            const reachUnits = extent / unitPixels;
+            const maxHyperbolae = 40;
+            const hyperbolaLabels = [];
+            for (let i = 1; i <= maxHyperbolae && i * hyperbolaStep <= reachUnits; i++) {
+                const n = i * hyperbolaStep;
+                // Parametrize by rapidity: (x, ct) = n (sinh η, cosh η) reaches the canvas edge at η = acosh(reach / n)
+                const etaMax = Math.acosh(Math.max(1, reachUnits / n));
+                const samples = 48;
+                g.stroke(255, 255, 255, 90);
+                g.strokeWeight(1);
+                g.noFill();
+                [[1, 1], [1, -1]].forEach(([xSign, ctSign]) => {
+                    // Timelike branches (s² = +n²) and, with the axes swapped, spacelike ones (s² = -n²)
+                    [false, true].forEach(isSpacelike => {
+                        g.beginShape();
+                        for (let j = 0; j <= samples; j++) {
+                            const eta = -etaMax + (2 * etaMax * j) / samples;
+                            const a = n * Math.sinh(eta) * xSign;
+                            const b = n * Math.cosh(eta) * ctSign;
+                            const [hx, hct] = isSpacelike ? [b, a] : [a, b];
+                            g.vertex(hx * unitPixels, hct * unitPixels);
+                        }
+                        g.endShape();
+                    });
+                });
+                hyperbolaLabels.push({ n, square: n * n });
+            }
+
+            // Unit marks: ct_F = ±n at (γun, γn) and x_F = ±n at (γn, γun)
+            frames.forEach(frame => {
+                const u = displayedRelativeVelocity(frame);
+                const frameGamma = calculateLorentzFactor(u);
+                g.fill(frame.color);
+                g.stroke(255);
+                g.strokeWeight(1);
+                hyperbolaLabels.forEach(({ n }) => {
+                    [n, -n].forEach(k => {
+                        g.ellipse(frameGamma * u * k * unitPixels, frameGamma * k * unitPixels, 7, 7);
+                        g.ellipse(frameGamma * k * unitPixels, frameGamma * u * k * unitPixels, 7, 7);
+                    });
+                });
+            });
+
+            // s² values next to the upper and right branch vertices
+            hyperbolaLabels.forEach(({ n, square }) => {
+                const squareText = isSIUnits
+                    ? `${Number((square * C_SI * C_SI).toPrecision(3)).toExponential()} m²`
+                    : square.toFixed(2 * Math.max(0, -Math.floor(Math.log10(hyperbolaStep))));
+                tickLabels.push({ text: `s²=${squareText}`, x: 22, y: n * unitPixels + 8, color: '#e2e8f0', size: 10 });
+                tickLabels.push({ text: `s²=-${squareText}`, x: n * unitPixels + 26, y: 10, color: '#e2e8f0', size: 10 });
+            });
+        }
+
+        // --- Worldline for the Moving Observer (highlighted ct' axis) ---
+        // Orthogonal when the moving frame is the one being viewed, sheared otherwise
+        const movingFrame = getFrame('moving');
+        const observerSlope = displayedRelativeVelocity(movingFrame);
+        g.stroke(frameColorWithAlpha(movingFrame.color, 230));
+        g.strokeWeight(3); // Thicker line
+        g.line(-observerSlope * extent, -extent, observerSlope * extent, extent);
+
+        // --- Moving object worldlines, with a dot where each crosses the active frame's ct = 0 ---
+        const visibleHalfExtent = extent / unitPixels;
+        const worldlineMarkers = [];
+        worldlines.forEach(worldline => {
+            const points = activeFrameWorldline(worldline, visibleHalfExtent);
+            g.stroke(worldline.color);
+            g.strokeWeight(2);
+            g.noFill();
+            g.beginShape();
+            points.forEach(p => g.vertex(p.x * scaleFactor * unitScale, p.ct * scaleFactor * unitScale));
+            g.endShape();
+
+            const x0 = worldlineCrossing(points, 0);
+            if (x0 !== null) {
+                worldlineMarkers.push({ worldline, x: x0 });
+                g.noStroke();
+                g.fill(worldline.color);
+                g.ellipse(x0 * scaleFactor * unitScale, 0, 10, 10);
+            }
+
+            // Where the object is "now" according to the viewed frame
+            const xNow = nowSweepCt === null ? null : worldlineCrossing(points, nowSweepCt);
+            if (xNow !== null) {
+                g.fill(worldline.color);
+                g.stroke(255);
+                g.strokeWeight(2);
+                g.ellipse(xNow * scaleFactor * unitScale, nowSweepCt * scaleFactor * unitScale, 12, 12);
+            }
+        });
+
+        // --- Highlight the pair chosen for interval analysis ---
+        const intervalPair = getIntervalPair();
+        if (intervalPair) {
+            const [pa, pb] = intervalPair.map(e => toActiveFrame(e.ct, e.x));
+            g.stroke(255, 255, 255, 200);
+            g.strokeWeight(2);
+            g.line(pa.x * scaleFactor * unitScale, pa.ct * scaleFactor * unitScale,
+                pb.x * scaleFactor * unitScale, pb.ct * scaleFactor * unitScale);
+        }
+
+        // --- "Now" sweep: the viewed frame's line of simultaneity moving upward ---
+        if (nowSweepCt !== null) {
+            g.stroke(0, 255, 255, 220); // Cyan
+            g.strokeWeight(2.5);
+            g.line(left, nowSweepCt * unitPixels, right, nowSweepCt * unitPixels);
+        }
+
+        // --- Draw Custom Events and their Simultaneity Lines ---
+        // Events are stored in stationary coordinates and drawn where they sit in the active frame
+        events.forEach(event => {
+            const pos = toActiveFrame(event.ct, event.x);
+            const event_x_scaled = pos.x * scaleFactor * unitScale;
+            const event_ct_scaled = pos.ct * scaleFactor * unitScale;
+
+            // Simultaneity line through the event for the active frame: lines of constant ct (or ct')
+            // are horizontal in that frame's own orthogonal view
+            g.stroke(192, 132, 252, 150); // Lighter purple for event simultaneity lines
+            g.strokeWeight(1.5);
+            g.line(left, event_ct_scaled, right, event_ct_scaled);
+
+            // During a sweep, events the "now" line has not reached yet are dimmed
+            const isFuture = nowSweepCt !== null && pos.ct > nowSweepCt;
+            g.fill(isFuture ? frameColorWithAlpha(event.color, 70) : event.color);
+            g.noStroke();
+            g.ellipse(event_x_scaled, event_ct_scaled, 10, 10);
+
+            // A fading halo for events the line has just crossed
+            const sinceCrossed = nowSweepCt === null ? Infinity : nowSweepCt - pos.ct;
+            if (sinceCrossed >= 0 && sinceCrossed < 0.5) {
+                g.noFill();
+                g.stroke(frameColorWithAlpha(event.color, 255 * (1 - sinceCrossed / 0.5)));
+                g.strokeWeight(3);
+                const haloSize = 14 + 40 * sinceCrossed;
+                g.ellipse(event_x_scaled, event_ct_scaled, haloSize, haloSize);
+            }
+
+            if (event.id === selectedEventId) {
+                g.noFill();
+                g.stroke(255);
+                g.strokeWeight(2);
+                g.ellipse(event_x_scaled, event_ct_scaled, 18, 18);
+            }
+
+            // Inside, on or outside the selected event's light cone
+            const relation = getConeRelation(event);
+            if (relation) {
+                g.noFill();
+                g.stroke(causalRelationStyles[relation].color);
+                g.strokeWeight(2);
+                g.ellipse(event_x_scaled, event_ct_scaled, 16, 16);
+            }
+        });
+
+
+        // --- Axis labels ---
+        g.fill(255);
+        g.noStroke();
+        g.scale(1, -1); // Flip Y-axis back for text drawing (standard text orientation)
+
+        // Event labels (y is negated now that the axis is flipped back)
+        g.textSize(12);
+        events.forEach(event => {
+            const pos = toActiveFrame(event.ct, event.x);
+            g.fill(event.color);
+            g.text(event.label, pos.x * scaleFactor * unitScale + 12, -pos.ct * scaleFactor * unitScale - 12);
+        });
+        worldlineMarkers.forEach(marker => {
+            g.fill(marker.worldline.color);
+            g.text(marker.worldline.label, marker.x * scaleFactor * unitScale + 8, 16);
+        });
+
+        // Numeric ticks, in each frame's color
+        tickLabels.forEach(tick => {
+            g.fill(tick.color);
+            g.textSize(tick.size);
+            g.text(tick.text, tick.x, -tick.y);
+        });
+        g.fill(255);
+
+        g.textSize(16);
+
+        const axisLabel = (axis, frame) => `${axis}${frame.suffix}${isSIUnits ? ' (m)' : ''}`;
+
+        // Labels for the viewing frame's orthogonal axes, kept on screen when the axes are panned away
+        const labelMargin = 24;
+        g.fill(viewFrame.color);
+        g.text(axisLabel('ct', viewFrame), g.constrain(0, left + labelMargin, right - labelMargin), -top + 20); // Time axis label (top)
+        g.text(axisLabel('x', viewFrame), right - labelMargin, g.constrain(0, -top + labelMargin, -bottom - labelMargin)); // Space axis label (right)
+
+        // Labels for the sheared axes, placed along each axis near the middle of the view
+        // (y is negated since the axis is flipped back)
+        const centerPx = (left + right) / 2;
+        const centerPy = (top + bottom) / 2;
+        const labelDistance = 0.35 * g.min(g.width, g.height);
+        frames.forEach(frame => {
+            if (frame === viewFrame) return;
+            const u = displayedRelativeVelocity(frame);
+            const norm = Math.sqrt(1 + u * u);
+            g.fill(frame.color);
+
+            // x_F axis runs along (1, u), ct_F axis along (u, 1)
+            const alongX = (centerPx + u * centerPy) / norm + labelDistance;
+            g.push();
+            g.translate(alongX / norm, -alongX * u / norm);
+            g.rotate(g.atan2(-u, 1)); // Rotate text to align with the axis
+            g.text(axisLabel('x', frame), 0, -10);
+            g.pop();
+
+            const alongCt = (u * centerPx + centerPy) / norm + labelDistance;
+            g.text(axisLabel('ct', frame), alongCt * u / norm + 14, -alongCt / norm);
+        });
+
+        if (nowSweepCt !== null) {
+            g.fill(0, 255, 255);
+            g.textSize(14);
+            g.text('now', left + labelMargin, -nowSweepCt * unitPixels - 10);
+        }
+
+        g.pop(); // End of transformed coordinates
+    }
+
+    sketch.draw = function () {
+        // Get the current velocity value
+        const v_input = parseFloat(velocitySpacetimeInput.value);
+        currentSpacetimeVelocity = exactSpacetimeVelocity ?? v_input;
+        getFrame('moving').velocity = currentSpacetimeVelocity;
+        const gamma = calculateLorentzFactor(currentSpacetimeVelocity);
+
+        const now = sketch.millis();
+        const dt = lastAnimationTime === null ? 1 / 60 : Math.min(now - lastAnimationTime, 100) / 1000;
+        const isTransitioning = stepBoostTransition(dt);
+
+        // Update display - show full velocity in SI units, v/c in natural units
+        velocitySpacetimeDisplay.textContent = isSIUnits
+            ? `${(currentSpacetimeVelocity * C_SI).toExponential(2)} m/s`
+            : `${currentSpacetimeVelocity.toFixed(3)}c`;
+        lorentzFactorSpacetimeDisplay.textContent = gamma.toFixed(2);
+        refreshEventTable(); // Primed coordinates follow the velocity live
+        updateIntervalPanel();
+        refreshWorldlineTable();
+        refreshFrameTable();
+
+        updateViewTransform();
+        advanceDiagramAnimations(dt);
+        renderDiagram(sketch);
+
+        // Keep drawing only while something is moving
+        if (isTransitioning || isNowSweepPlaying || lightPulses.length > 0) {
+            lastAnimationTime = now;
+            if (!sketch.isLooping()) sketch.loop();
+        } else {
+            lastAnimationTime = null;
+            if (sketch.isLooping()) sketch.noLoop();
+        }
+    };
+
+    // Converts canvas pixel coordinates into stationary-frame (ct, x) for the frame being viewed
+    function screenToEvent(px, py) {
+        const x_coord_in_units = (px - originX) / (scaleFactor * unitScale);
+        const ct_coord_in_units = -(py - originY) / (scaleFactor * unitScale);
+        return fromActiveFrame(ct_coord_in_units, x_coord_in_units);
+    }
+
+    // Finds the topmost event drawn within a few pixels of a canvas position
+    function findEventAt(px, py) {
+        const hitRadius = 10;
+        for (let i = events.length - 1; i >= 0; i--) {
+            const pos = toActiveFrame(events[i].ct, events[i].x);
+            const sx = originX + pos.x * scaleFactor * unitScale;
+            const sy = originY - pos.ct * scaleFactor * unitScale;
+            if (Math.hypot(px - sx, py - sy) <= hitRadius) {
+                return events[i];
+            }
+        }
+        return null;
+    }
+
+    let draggedEventId = null;
+    let pressStart = null; // Press on empty space: a click adds an event there, a drag pans
+    let lastDragPoint = null;
+    let isPanning = false;
+    const panThreshold = 4; // Pixels the pointer may wander before a click becomes a pan
+    let lastPinch = null;
+
+    function isPointerOnCanvas() {
+        return sketch.mouseX >= 0 && sketch.mouseX <= sketch.width &&
+            sketch.mouseY >= 0 && sketch.mouseY <= sketch.height;
+    }
+
+    sketch.mousePressed = function() {
+        if (isPointerOnCanvas()) {
+            const hit = findEventAt(sketch.mouseX, sketch.mouseY);
+            if (hit) {
+                selectEvent(hit.id);
+                draggedEventId = hit.id;
+            } else {
+                pressStart = { x: sketch.mouseX, y: sketch.mouseY };
+                lastDragPoint = pressStart;
+                isPanning = false;
+            }
+            sketch.redraw();
+            return false;
+        }
+    };
+
+    sketch.mouseDragged = function() {
+        if (draggedEventId !== null) {
+            const event = events.find(e => e.id === draggedEventId);
+            if (!event) return;
+            Object.assign(event, screenToEvent(sketch.mouseX, sketch.mouseY));
+            sketch.redraw();
+            scheduleLinkUpdate();
+            return false;
+        }
+        if (pressStart) {
+            if (!isPanning && Math.hypot(sketch.mouseX - pressStart.x, sketch.mouseY - pressStart.y) > panThreshold) {
+                isPanning = true;
+            }
+            if (isPanning) {
+                panBy(sketch.mouseX - lastDragPoint.x, sketch.mouseY - lastDragPoint.y);
+                lastDragPoint = { x: sketch.mouseX, y: sketch.mouseY };
+                sketch.redraw();
+            }
+            return false;
+        }
+    };
+
+    sketch.mouseReleased = function() {
+        if (pressStart && !isPanning) {
+            const { ct, x } = screenToEvent(pressStart.x, pressStart.y);
+            addEvent(ct, x);
+            sketch.redraw();
+        }
+        pressStart = null;
+        isPanning = false;
+        draggedEventId = null;
+    };
+
+    sketch.mouseWheel = function(event) {
+        if (!isPointerOnCanvas()) return;
+        zoomAt(sketch.mouseX, sketch.mouseY, Math.exp(-event.delta * 0.0015));
+        sketch.redraw();
+        return false;
+    };
+
+    // Touch: one finger behaves like the mouse, two fingers pinch to zoom and pan together
+    function pinchState() {
+        const [a, b] = sketch.touches;
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(a.x - b.x, a.y - b.y) };
+    }
+
+    sketch.touchStarted = function() {
+        if (sketch.touches.length >= 2 && (pressStart || draggedEventId !== null || lastPinch)) {
+            pressStart = null;
+            draggedEventId = null;
+            lastPinch = pinchState();
+            return false;
+        }
+        return sketch.mousePressed();
+    };
+
+    sketch.touchMoved = function() {
+        if (lastPinch && sketch.touches.length >= 2) {
+            const pinch = pinchState();
+            if (lastPinch.distance > 0) {
+                zoomAt(pinch.x, pinch.y, pinch.distance / lastPinch.distance);
+            }
+            panBy(pinch.x - lastPinch.x, pinch.y - lastPinch.y);
+            lastPinch = pinch;
+            sketch.redraw();
+            return false;
+        }
+        return sketch.mouseDragged();
+    };
+
+    sketch.touchEnded = function() {
+        if (lastPinch) {
+            // Lifting one finger of a pinch must not add an event
+            if (sketch.touches.length < 2) lastPinch = null;
+            return false;
+        }
+        return sketch.mouseReleased();
+    };
+
+    sketch.keyPressed = function() {
+        // Leave Delete/Backspace alone while the user is typing or adjusting a control
+        const focused = document.activeElement;
+        const isEditing = focused && ['INPUT', 'TEXTAREA', 'SELECT'].includes(focused.tagName);
+        if ((sketch.keyCode === sketch.DELETE || sketch.keyCode === sketch.BACKSPACE) &&
+            selectedEventId !== null && !isEditing) {
+            deleteEvent(selectedEventId);
+            return false;
+        }
+    };
+};
+
+// Initialize p5.js sketch when the page loads
+s = new p5(sketch);
+
+// Event listener for velocity slider
+velocitySpacetimeInput.addEventListener('input', () => {
+    exactSpacetimeVelocity = null; // The slider's own value from now on
+    // Redraw the canvas to apply new velocity
+    s.redraw();
+    const v = parseFloat(velocitySpacetimeInput.value);
+    if (!globalVelocityInput.isGlobalUpdate) { // Prevent infinite loop
+        updateAllVelocities(v);
+    }
+});
+
+// Frame table: choosing the view, editing frames and removing added ones
+frameTableBody.addEventListener('change', (e) => {
+    const input = e.target;
+    const frame = getFrame(input.closest('tr')?.dataset.frameId);
+    if (!frame) return;
+    if (input.type === 'radio') {
+        activeFrameId = frame.id;
+    } else if (input.type === 'checkbox') {
+        frame.showGrid = input.checked;
+    } else {
+        return;
+    }
+    s.redraw(); // Request p5.js to redraw immediately
+});
+
+frameTableBody.addEventListener('input', (e) => {
+    const input = e.target;
+    const frame = getFrame(input.closest('tr')?.dataset.frameId);
+    if (!frame || !['color', 'name', 'velocity'].includes(input.dataset.field)) return;
+
+    if (input.dataset.field !== 'velocity') {
+        frame[input.dataset.field] = input.value;
+        s.redraw();
+        return;
+    }
+    const value = parseFloat(input.value);
+    if (!isFinite(value)) return; // Wait for a complete number
+    const v = Math.max(-0.999, Math.min(0.999, value));
+    if (frame.id === 'moving') {
+        // The slider owns the moving frame's velocity
+        velocitySpacetimeInput.value = v;
+        velocitySpacetimeInput.dispatchEvent(new Event('input'));
+    } else {
+        frame.velocity = v;
+        s.redraw();
+    }
+});
+
+frameTableBody.addEventListener('click', (e) => {
+    if (!e.target.closest('.delete-event-btn')) return;
+    const id = e.target.closest('tr').dataset.frameId;
+    frames = frames.filter(frame => frame.id !== id);
+    if (activeFrameId === id) {
+        activeFrameId = 'stationary';
+    }
+    renderFrameTable();
+    s.redraw();
+    scheduleLinkUpdate();
+});
+
+addFrameBtn.addEventListener('click', () => {
+    const number = nextFrameNumber++;
+    frames.push({
+        id: `frame-${number}`,
+        name: `Frame ${number}`,
+        velocity: -0.5,
+        color: frameColors[(number - 3) % frameColors.length],
+        suffix: frameSuffixFor(number),
+        showGrid: false,
+        displayRapidity: Math.atanh(-0.5),
+    });
+    renderFrameTable();
+    s.redraw();
+    scheduleLinkUpdate();
+});
+
+/**
+ * Starts or pauses the "now" sweep.
+ * @param {boolean} playing Whether the line should move.
+ */
+function setNowSweepPlaying(playing) {
+    isNowSweepPlaying = playing;
+    playNowSweepBtn.textContent = playing ? 'Pause' : 'Play "Now" Sweep';
+    if (playing && s) s.redraw(); // The draw loop keeps itself running from here
+}
+
+playNowSweepBtn.addEventListener('click', () => {
+    setNowSweepPlaying(!isNowSweepPlaying);
+});
+
+resetNowSweepBtn.addEventListener('click', () => {
+    nowSweepCt = null;
+    setNowSweepPlaying(false);
+    s.redraw();
+});
+
+document.getElementById('zoom-in-spacetime').addEventListener('click', () => s.zoomBy(1.5));
+document.getElementById('zoom-out-spacetime').addEventListener('click', () => s.zoomBy(1 / 1.5));
+document.getElementById('reset-view-spacetime').addEventListener('click', () => s.resetView());
+
+document.getElementById('export-svg-spacetime').addEventListener('click', () => {
+    downloadBlob(new Blob([s.exportSVG()], { type: 'image/svg+xml' }), 'spacetime-diagram.svg');
+});
+document.getElementById('export-png-spacetime').addEventListener('click', () => s.exportPNG(4));
+
+saveScenarioBtn.addEventListener('click', () => {
+    const json = serializeScenario(getSpacetimeScenario());
+    downloadBlob(new Blob([json], { type: 'application/json' }), 'spacetime-scenario.json');
+    showScenarioStatus('Scenario saved as spacetime-scenario.json.', false);
+});
+
+loadScenarioBtn.addEventListener('click', () => scenarioFileInput.click());
+
+scenarioFileInput.addEventListener('change', async () => {
+    const file = scenarioFileInput.files[0];
+    scenarioFileInput.value = ''; // Choosing the same file again should load it again
+    if (!file) return;
+    try {
+        applySpacetimeScenario(parseScenario(await file.text()));
+        showScenarioStatus(`Loaded ${file.name}.`, false);
+    } catch (err) {
+        // Nothing awaits this listener, so every failure is reported here; schema problems already name the field
+        const reason = err instanceof ScenarioError ? err.message : `unexpected error (${err.message})`;
+        showScenarioStatus(`Could not load ${file.name}: ${reason}`, true);
+    }
+});
+
+eventConeToggle.addEventListener('change', () => {
+    isEventConeVisible = eventConeToggle.checked;
+    s.redraw();
+});
+
+emitLightPulseBtn.addEventListener('click', () => {
+    if (selectedEventId === null) return;
+    lightPulses.push({ eventId: selectedEventId, age: 0 });
+    s.redraw(); // The draw loop keeps itself running while pulses are in flight
+});
+
+calibrationToggle.addEventListener('change', () => {
+    isCalibrationVisible = calibrationToggle.checked;
+    s.redraw();
+});
+
+smoothBoostToggle.addEventListener('change', () => {
+    isBoostAnimationEnabled = smoothBoostToggle.checked;
+    s.redraw();
+});
+
+// Clear Events button
+clearEventsBtn.addEventListener('click', () => {
+    events = []; // Clear the events array
+    selectedEventId = null;
+    renderEventTable();
+    s.redraw(); // Redraw the canvas
+    scheduleLinkUpdate();
+});
+
+// Event table: edit labels, colors and coordinates in either frame
+eventTableBody.addEventListener('input', (e) => {
+    const row = e.target.closest('tr');
+    const event = events.find(ev => ev.id === Number(row.dataset.eventId));
+    const field = e.target.dataset.field;
+    if (!event || !field) return;
+
+    if (field === 'label' || field === 'color') {
+        event[field] = e.target.value;
+    } else {
+        const value = parseFloat(e.target.value);
+        if (isNaN(value)) return; // Wait until a complete number has been typed
+
+        if (field === 'ct' || field === 'x') {
+            event[field] = value;
+        } else {
+            // Primed coordinates: keep the other primed coordinate and transform back
+            const primed = lorentzTransform(event.ct, event.x, currentSpacetimeVelocity);
+            const ctPrime = field === 'ctPrime' ? value : primed.tPrime;
+            const xPrime = field === 'xPrime' ? value : primed.xPrime;
+            const { t, x } = inverseLorentzTransform(ctPrime, xPrime, currentSpacetimeVelocity);
+            event.ct = t;
+            event.x = x;
+        }
+    }
+    selectedEventId = event.id;
+    s.redraw();
+});
+
+eventTableBody.addEventListener('click', (e) => {
+    const row = e.target.closest('tr');
+    if (!row) return;
+    const id = Number(row.dataset.eventId);
+    if (e.target.closest('.delete-event-btn')) {
+        deleteEvent(id);
+    } else if (id !== selectedEventId) {
+        selectEvent(id);
+    }
+});
+
+[intervalEventASelect, intervalEventBSelect].forEach(select => {
+    select.addEventListener('change', () => s.redraw());
+});
+
+addWorldlineBtn.addEventListener('click', () => {
+    const id = nextWorldlineId++;
+    worldlines.push({
+        id,
+        label: `Object ${id}`,
+        color: worldlineColors[(id - 1) % worldlineColors.length],
+        x: 0,
+        velocity: 0.5,
+        changes: [],
+    });
+    renderWorldlineTable();
+    s.redraw();
+});
+
+worldlineTableBody.addEventListener('input', (e) => {
+    const input = e.target;
+    const row = input.closest('tr');
+    const worldline = row && worldlines.find(w => w.id === Number(row.dataset.worldlineId));
+    if (!worldline) return;
+    const target = row.dataset.changeId
+        ? worldline.changes.find(c => c.id === Number(row.dataset.changeId))
+        : worldline;
+    const field = input.dataset.field;
+
+    if (field === 'color' || field === 'label') {
+        worldline[field] = input.value;
+    } else {
+        const value = parseFloat(input.value);
+        if (!isFinite(value)) return; // Wait for a complete number
+        target[field] = field === 'velocity' ? clampObjectVelocity(value) : value;
+    }
+    s.redraw();
+});
+
+worldlineTableBody.addEventListener('click', (e) => {
+    const row = e.target.closest('tr');
+    const worldline = row && worldlines.find(w => w.id === Number(row.dataset.worldlineId));
+    if (!worldline) return;
+
+    if (e.target.closest('.add-change-btn')) {
+        // New change a little after the latest one, keeping the current velocity until then
+        const latest = worldline.changes.reduce((found, c) => (!found || c.ct > found.ct ? c : found), null);
+        const ct = latest ? Math.max(latest.ct, 0) + 1 : 1;
+        const velocity = latest ? latest.velocity : worldline.velocity;
+        worldline.changes.push({ id: nextChangeId++, ct, velocity: clampObjectVelocity(-velocity) });
+    } else if (e.target.closest('.delete-event-btn')) {
+        if (row.dataset.changeId) {
+            worldline.changes = worldline.changes.filter(c => c.id !== Number(row.dataset.changeId));
+        } else {
+            worldlines = worldlines.filter(w => w !== worldline);
+        }
+    } else {
+        return;
+    }
+    renderWorldlineTable();
+    s.redraw();
+});
+
+// Boost the observer into the frame where the pair is simultaneous (or co-located)
+intervalBoostBtn.addEventListener('click', () => {
+    if (intervalBoostVelocity === null) return;
+    velocitySpacetimeInput.value = intervalBoostVelocity;
+    velocitySpacetimeInput.dispatchEvent(new Event('input'));
+    // The slider snaps to its step, which would leave the events slightly apart in time (or place)
+    exactSpacetimeVelocity = intervalBoostVelocity;
+    s.redraw();
+    scheduleLinkUpdate();
+});
+
+renderFrameTable();
+renderEventTable();
+renderWorldlineTable();
+
+// Initial update for spacetime diagram display
+velocitySpacetimeInput.dispatchEvent(new Event('input'));
+
+
+// --- Relativistic Velocity Addition Logic ---
+const velocityV1Input = document.getElementById('velocity-v1');
+const velocityV1Display = document.getElementById('velocity-v1-display');
+const velocityV1AngleInput = document.getElementById('velocity-v1-angle');
+const velocityV1AngleDisplay = document.getElementById('velocity-v1-angle-display');
+const velocityV2Input = document.getElementById('velocity-v2');
+const velocityV2Display = document.getElementById('velocity-v2-display');
+const velocityV2AngleInput = document.getElementById('velocity-v2-angle');
+const velocityV2AngleDisplay = document.getElementById('velocity-v2-angle-display');
+const resultantVelocityDisplay = document.getElementById('resultant-velocity-display');
+const resultantDirectionDisplay = document.getElementById('resultant-direction-display');
+const reversedVelocityDisplay = document.getElementById('reversed-velocity-display');
+const wignerRotationDisplay = document.getElementById('wigner-rotation-display');
+const velocityAdditionCanvasContainer = document.getElementById('velocity-addition-canvas-container');
+let velocityAdditionP5; // p5.js instance for the velocity arrows
+
+/**
+ * Reads one velocity of the section as a vector in the plane of the diagram.
+ * @param {HTMLInputElement} speedInput Signed speed slider (v/c).
+ * @param {HTMLInputElement} angleInput Direction slider, degrees counterclockwise from +x.
+ * @returns {{x: number, y: number, z: number}} Velocity (as v/c).
+ */
+function readPlaneVelocity(speedInput, angleInput) {
+    const speed = parseFloat(speedInput.value);
+    const angle = parseFloat(angleInput.value) * Math.PI / 180;
+    return { x: speed * Math.cos(angle), y: speed * Math.sin(angle), z: 0 };
+}
+
+// Direction of a velocity in the plane, in degrees from 0 to 360
+function planeDirection(velocity) {
+    return (Math.atan2(velocity.y, velocity.x) * 180 / Math.PI + 360) % 360;
+}
+
+function formatSpeed(speed) {
+    return isSIUnits ? `${(speed * C_SI).toExponential(2)} m/s` : `${speed.toFixed(3)}c`;
+}
+
+function updateVelocityAddition() {
+    const v1 = parseFloat(velocityV1Input.value);
+    const v2 = parseFloat(velocityV2Input.value);
+    const { angle, axis, uPlusV, vPlusU } = calculateWignerRotation(
+        readPlaneVelocity(velocityV1Input, velocityV1AngleInput), readPlaneVelocity(velocityV2Input, velocityV2AngleInput));
+    const speed = Math.hypot(uPlusV.x, uPlusV.y);
+
+    velocityV1Display.textContent = formatSpeed(v1);
+    velocityV2Display.textContent = formatSpeed(v2);
+    velocityV1AngleDisplay.textContent = `${velocityV1AngleInput.value}°`;
+    velocityV2AngleDisplay.textContent = `${velocityV2AngleInput.value}°`;
+    resultantVelocityDisplay.textContent = formatSpeed(speed);
+    resultantDirectionDisplay.textContent = speed > 0 ? `${planeDirection(uPlusV).toFixed(1)}°` : '—';
+    reversedVelocityDisplay.textContent = speed > 0
+        ? `${formatSpeed(Math.hypot(vPlusU.x, vPlusU.y))} at ${planeDirection(vPlusU).toFixed(1)}°`
+        : formatSpeed(0);
+    wignerRotationDisplay.textContent = axis
+        ? `${(angle * 180 / Math.PI).toFixed(2)}° ${axis.z > 0 ? 'counterclockwise' : 'clockwise'}`
+        : '0° (parallel velocities)';
+
+    if (velocityAdditionP5) velocityAdditionP5.redraw();
+}
+
+/**
+ * The p5.js sketch for velocity addition: both velocities, their Galilean sum and the two
+ * orders of relativistic composition, inside the light-speed circle.
+ * @param {p5} sketch The p5.js instance.
+ */
+const velocityAdditionSketch = function (sketch) {
+    const padding = 16;
+    const v1Color = [167, 139, 250];
+    const v2Color = [72, 187, 120];
+    const uPlusVColor = [246, 224, 94];
+    const vPlusUColor = [79, 209, 197];
+    const rotationColor = [246, 173, 85];
+
+    sketch.setup = function () {
+        sketch.pixelDensity(1);
+        const canvas = sketch.createCanvas(velocityAdditionCanvasContainer.offsetWidth, velocityAdditionCanvasContainer.offsetHeight);
+        canvas.parent('velocity-addition-canvas-container');
+        sketch.windowResized = () => {
+            sketch.resizeCanvas(velocityAdditionCanvasContainer.offsetWidth, velocityAdditionCanvasContainer.offsetHeight);
+            sketch.redraw();
+        };
+        sketch.noLoop(); // Redrawn when the sliders change
+    };
+
+    function drawArrow(fromX, fromY, toX, toY, color, weight) {
+        const length = Math.hypot(toX - fromX, toY - fromY);
+        if (length < 1) return;
+        const ux = (toX - fromX) / length;
+        const uy = (toY - fromY) / length;
+        const head = Math.min(10, length / 2);
+        sketch.stroke(...color);
+        sketch.strokeWeight(weight);
+        sketch.line(fromX, fromY, toX - ux * head * 0.8, toY - uy * head * 0.8);
+        sketch.noStroke();
+        sketch.fill(...color);
+        sketch.triangle(
+            toX, toY,
+            toX - ux * head - uy * head / 2, toY - uy * head + ux * head / 2,
+            toX - ux * head + uy * head / 2, toY - uy * head - ux * head / 2
+        );
+    }
+
+    sketch.draw = function () {
+        sketch.background(40, 40, 60);
+
+        const u = readPlaneVelocity(velocityV1Input, velocityV1AngleInput);
+        const v = readPlaneVelocity(velocityV2Input, velocityV2AngleInput);
+        const { angle, axis, uPlusV, vPlusU } = calculateWignerRotation(u, v);
+
+        // Light speed fills the height; screen y points down, so velocity y is flipped
+        const centerX = sketch.width / 2;
+        const centerY = sketch.height / 2;
+        const radius = sketch.height / 2 - padding;
+        const toScreenX = x => centerX + x * radius;
+        const toScreenY = y => centerY - y * radius;
+
+        sketch.noFill();
+        sketch.stroke(80, 80, 100);
+        sketch.strokeWeight(1);
+        sketch.line(0, centerY, sketch.width, centerY);
+        sketch.line(centerX, 0, centerX, sketch.height);
+        sketch.stroke(255, 255, 255, 150);
+        sketch.strokeWeight(1.5);
+        sketch.circle(centerX, centerY, 2 * radius);
+
+        drawArrow(centerX, centerY, toScreenX(u.x + v.x), toScreenY(u.y + v.y), [255, 255, 255, 60], 1.5);
+        drawArrow(centerX, centerY, toScreenX(u.x), toScreenY(u.y), v1Color, 2);
+        drawArrow(toScreenX(u.x), toScreenY(u.y), toScreenX(u.x + v.x), toScreenY(u.y + v.y), v2Color, 2);
+        drawArrow(centerX, centerY, toScreenX(vPlusU.x), toScreenY(vPlusU.y), vPlusUColor, 3);
+        drawArrow(centerX, centerY, toScreenX(uPlusV.x), toScreenY(uPlusV.y), uPlusVColor, 3);
+
+        // The Wigner rotation, as an arc from v2 ⊕ v1 round to v1 ⊕ v2
+        if (axis) {
+            const arcRadius = Math.max(24, 0.6 * Math.hypot(uPlusV.x, uPlusV.y) * radius);
+            const from = -Math.atan2(vPlusU.y, vPlusU.x);
+            const to = -Math.atan2(uPlusV.y, uPlusV.x);
+            sketch.noFill();
+            sketch.stroke(...rotationColor);
+            sketch.strokeWeight(2);
+            // p5 arcs run clockwise on screen, so a counterclockwise turn is drawn back from its end
+            if (axis.z > 0) {
+                sketch.arc(centerX, centerY, 2 * arcRadius, 2 * arcRadius, to, to + angle);
+            } else {
+                sketch.arc(centerX, centerY, 2 * arcRadius, 2 * arcRadius, from, from + angle);
+            }
+        }
+
+        sketch.noStroke();
+        sketch.textSize(12);
+        sketch.textAlign(sketch.LEFT, sketch.TOP);
+        [
+            ['v₁', v1Color],
+            ['v₂ (from the tip of v₁)', v2Color],
+            ['v₁ ⊕ v₂', uPlusVColor],
+            ['v₂ ⊕ v₁', vPlusUColor],
+            [`Wigner rotation ${(angle * 180 / Math.PI).toFixed(2)}°`, rotationColor],
+            ['v₁ + v₂ (Galilean)', [255, 255, 255, 120]],
+        ].forEach(([label, color], i) => {
+            sketch.fill(...color);
+            sketch.text(label, padding / 2, padding / 2 + i * 16);
+        });
+        sketch.fill(255, 255, 255, 150);
+        sketch.textAlign(sketch.LEFT, sketch.BOTTOM);
+        sketch.text('c', toScreenX(Math.SQRT1_2) + 4, toScreenY(-Math.SQRT1_2) + 14);
+    };
+};
+
+// Initialize the velocity arrows
+velocityAdditionP5 = new p5(velocityAdditionSketch);
+
+// Event listeners for velocity addition sliders
+[velocityV1Input, velocityV1AngleInput, velocityV2Input, velocityV2AngleInput].forEach(input => {
+    input.addEventListener('input', updateVelocityAddition);
+});
+
+// Initial update for velocity addition when page loads
+updateVelocityAddition();
+
+// --- Chained Boosts ---
+const boostChainTableBody = document.getElementById('boost-chain-table-body');
+const addBoostBtn = document.getElementById('add-boost-btn');
+const boostChainResultDisplay = document.getElementById('boost-chain-result-display');
+const boostChainEqualVelocityInput = document.getElementById('boost-chain-equal-velocity');
+const boostChainEqualVelocityDisplay = document.getElementById('boost-chain-equal-velocity-display');
+const boostChainCanvasContainer = document.getElementById('boost-chain-canvas-container');
+
+const maxChainedBoosts = 12; // Also the number of boosts plotted
+let boostChain = [{ id: 1, velocity: 0.5 }, { id: 2, velocity: 0.5 }];
+let nextBoostId = 3;
+let boostChainP5; // p5.js instance for the equal-boosts plot
+
+// Boost velocities stay below light speed, like the sliders
+function clampBoostVelocity(v) {
+    return Math.max(-0.999, Math.min(0.999, v));
+}
+
+function renderBoostChainTable() {
+    boostChainTableBody.innerHTML = '';
+    boostChain.forEach((boost, i) => {
+        const row = document.createElement('tr');
+        row.dataset.boostId = boost.id;
+        row.innerHTML = `
+            <td>${i + 1}</td>
+            <td><input type="number" step="0.05" min="-0.999" max="0.999" data-field="velocity" aria-label="Velocity of boost ${i + 1} as v/c, relative to the previous frame"></td>
+            <td data-output="rapidity"></td>
+            <td data-output="totalRapidity"></td>
+            <td data-output="totalVelocity"></td>
+            <td data-output="speedDeficit"></td>
+            <td data-output="galileanSum"></td>
+            <td><button type="button" class="delete-event-btn" aria-label="Delete boost ${i + 1}">×</button></td>
+        `;
+        boostChainTableBody.appendChild(row);
+    });
+    addBoostBtn.disabled = boostChain.length >= maxChainedBoosts;
+    refreshBoostChainTable();
+}
+
+/**
+ * Updates the running totals of the chain, leaving the value being typed alone.
+ */
+function refreshBoostChainTable() {
+    const steps = calculateBoostChain(boostChain.map(boost => boost.velocity));
+    boostChainTableBody.querySelectorAll('tr').forEach((row, i) => {
+        const step = steps[i];
+        const input = row.querySelector('input');
+        if (input !== document.activeElement) {
+            input.value = step.velocity.toFixed(3);
+        }
+        const outputs = {
+            rapidity: step.rapidity.toFixed(3),
+            totalRapidity: step.totalRapidity.toFixed(3),
+            totalVelocity: step.totalVelocity.toFixed(3),
+            speedDeficit: step.speedDeficit.toExponential(2),
+            galileanSum: step.galileanSum.toFixed(3),
+        };
+        row.querySelectorAll('[data-output]').forEach(cell => {
+            cell.textContent = outputs[cell.dataset.output];
+        });
+    });
+    const last = steps[steps.length - 1];
+    if (!last) {
+        boostChainResultDisplay.textContent = '0.000c';
+        return;
+    }
+    // Within rounding of c, write the speed as its small gap below c
+    const velocity = Math.tanh(last.totalRapidity);
+    const velocityText = last.speedDeficit < 5e-4
+        ? `${velocity < 0 ? '-' : ''}(1 − ${last.speedDeficit.toExponential(2)})c`
+        : `${velocity.toFixed(3)}c`;
+    boostChainResultDisplay.textContent = `tanh(${last.totalRapidity.toFixed(3)}) = ${velocityText}`;
+}
+
+/**
+ * The p5.js sketch for the equal-boosts plot: the velocity after n boosts of the chosen size,
+ * relativistic against Galilean.
+ * @param {p5} sketch The p5.js instance.
+ */
+const boostChainSketch = function (sketch) {
+    const margin = { left: 48, right: 16, top: 16, bottom: 36 };
+    const relativisticColor = [246, 224, 94];
+    const galileanColor = [160, 160, 170];
+    const maxPlottedVelocity = 2; // The Galilean sum runs off the top
+
+    sketch.setup = function () {
+        sketch.pixelDensity(1);
+        const canvas = sketch.createCanvas(boostChainCanvasContainer.offsetWidth, boostChainCanvasContainer.offsetHeight);
+        canvas.parent('boost-chain-canvas-container');
+        sketch.windowResized = () => {
+            sketch.resizeCanvas(boostChainCanvasContainer.offsetWidth, boostChainCanvasContainer.offsetHeight);
+            sketch.redraw();
+        };
+        sketch.noLoop(); // Redrawn when the boost size changes
+    };
+
+    sketch.draw = function () {
+        sketch.background(40, 40, 60);
+
+        const boost = parseFloat(boostChainEqualVelocityInput.value);
+        const steps = calculateBoostChain(Array(maxChainedBoosts).fill(boost));
+        const right = sketch.width - margin.right;
+        const bottom = sketch.height - margin.bottom;
+        const toScreenX = n => margin.left + n / maxChainedBoosts * (right - margin.left);
+        const toScreenY = v => bottom - v / maxPlottedVelocity * (bottom - margin.top);
+
+        // Axes, with a tick for every boost and every half of c
+        sketch.stroke(120);
+        sketch.strokeWeight(1);
+        sketch.line(margin.left, margin.top, margin.left, bottom);
+        sketch.line(margin.left, bottom, right, bottom);
+        sketch.noStroke();
+        sketch.fill(200);
+        sketch.textSize(11);
+        sketch.textAlign(sketch.CENTER, sketch.TOP);
+        for (let n = 0; n <= maxChainedBoosts; n++) {
+            sketch.text(n, toScreenX(n), bottom + 4);
+        }
+        sketch.text('Number of equal boosts', (margin.left + right) / 2, bottom + 18);
+        sketch.textAlign(sketch.RIGHT, sketch.CENTER);
+        for (let v = 0; v <= maxPlottedVelocity; v += 0.5) {
+            sketch.text(`${v.toFixed(1)}c`, margin.left - 6, toScreenY(v));
+        }
+
+        // Light speed
+        sketch.stroke(255, 255, 255, 180);
+        sketch.line(margin.left, toScreenY(1), right, toScreenY(1));
+
+        // Both curves start from rest; the Galilean one stops where it leaves the top of the plot
+        [
+            { color: galileanColor, values: [0, ...steps.map(step => step.galileanSum)] },
+            { color: relativisticColor, values: [0, ...steps.map(step => step.totalVelocity)] },
+        ].forEach(({ color, values }) => {
+            sketch.stroke(...color);
+            sketch.strokeWeight(2);
+            sketch.noFill();
+            sketch.beginShape();
+            for (let n = 0; n < values.length; n++) {
+                if (values[n] > maxPlottedVelocity) {
+                    const crossing = n - 1 + (maxPlottedVelocity - values[n - 1]) / (values[n] - values[n - 1]);
+                    sketch.vertex(toScreenX(crossing), toScreenY(maxPlottedVelocity));
+                    break;
+                }
+                sketch.vertex(toScreenX(n), toScreenY(values[n]));
+            }
+            sketch.endShape();
+            sketch.noStroke();
+            sketch.fill(...color);
+            values.forEach((v, n) => {
+                if (v <= maxPlottedVelocity) sketch.circle(toScreenX(n), toScreenY(v), 6);
+            });
+        });
+
+        sketch.noStroke();
+        sketch.textAlign(sketch.LEFT, sketch.TOP);
+        sketch.fill(...relativisticColor);
+        sketch.text(`Relativistic: ${steps[maxChainedBoosts - 1].totalVelocity.toFixed(4)}c after ${maxChainedBoosts}`, margin.left + 8, margin.top + 2);
+        sketch.fill(...galileanColor);
+        sketch.text(`Galilean: ${steps[maxChainedBoosts - 1].galileanSum.toFixed(2)}c after ${maxChainedBoosts}`, margin.left + 8, margin.top + 18);
+    };
+};
+
+// Initialize the equal-boosts plot
+boostChainP5 = new p5(boostChainSketch);
+
+addBoostBtn.addEventListener('click', () => {
+    if (boostChain.length >= maxChainedBoosts) return;
+    const last = boostChain[boostChain.length - 1];
+    boostChain.push({ id: nextBoostId++, velocity: last ? last.velocity : 0.5 });
+    renderBoostChainTable();
+});
+
+function findBoostForInput(input) {
+    const row = input.closest('tr');
+    return row && boostChain.find(b => b.id === Number(row.dataset.boostId));
+}
+
+boostChainTableBody.addEventListener('input', (e) => {
+    const boost = findBoostForInput(e.target);
+    if (!boost) return;
+    const value = parseFloat(e.target.value);
+    if (!isFinite(value)) return; // Wait for a complete number
+    boost.velocity = clampBoostVelocity(value);
+    refreshBoostChainTable();
+});
+
+// Show the clamped value once the entry is committed
+boostChainTableBody.addEventListener('change', (e) => {
+    const boost = findBoostForInput(e.target);
+    if (boost) e.target.value = boost.velocity.toFixed(3);
+});
+
+boostChainTableBody.addEventListener('click', (e) => {
+    if (!e.target.closest('.delete-event-btn')) return;
+    const boost = findBoostForInput(e.target);
+    boostChain = boostChain.filter(b => b !== boost);
+    renderBoostChainTable();
+});
+
+boostChainEqualVelocityInput.addEventListener('input', () => {
+    boostChainEqualVelocityDisplay.textContent = `${parseFloat(boostChainEqualVelocityInput.value).toFixed(3)}c`;
+    boostChainP5.redraw();
+});
+
+// Initial render of the boost chain when the page loads
+renderBoostChainTable();
+
+
+// --- Relativistic Energy and Momentum Logic ---
+const energyParticleButtons = document.querySelectorAll('.energy-particle-btn');
+const energyRestMassInput = document.getElementById('energy-rest-mass');
+const energyRestMassSiDisplay = document.getElementById('energy-rest-mass-si-display');
+const energyUnitSelect = document.getElementById('energy-unit-select');
+const energyVelocityInput = document.getElementById('energy-velocity');
+const energyVelocityDisplay = document.getElementById('energy-velocity-display');
+const energyGammaDisplay = document.getElementById('energy-gamma-display');
+const energyMomentumDisplay = document.getElementById('energy-momentum-display');
+const energyTotalDisplay = document.getElementById('energy-total-display');
+const energyKineticDisplay = document.getElementById('energy-kinetic-display');
+const energyNewtonianDisplay = document.getElementById('energy-newtonian-display');
+const energyRelationDisplay = document.getElementById('energy-relation-display');
+const energyCanvasContainer = document.getElementById('energy-canvas-container');
+let energyP5; // p5.js instance for the energy plot
+
+// How each unit choice writes an energy given in MeV, and the matching momentum unit
+const energyUnits = {
+    SI: { energy: 'J', momentum: 'kg·m/s', fromMeV: 1e6 * ELECTRON_VOLT_SI, momentumFactor: 1 / C_SI },
+    eV: { energy: 'eV', momentum: 'eV/c', fromMeV: 1e6, momentumFactor: 1 },
+    MeV: { energy: 'MeV', momentum: 'MeV/c', fromMeV: 1, momentumFactor: 1 },
+    GeV: { energy: 'GeV', momentum: 'GeV/c', fromMeV: 1e-3, momentumFactor: 1 },
+};
+
+// Four significant figures, switching to scientific notation for very large or small values
+function formatEnergyValue(value) {
+    if (value === 0) return '0';
+    const magnitude = Math.abs(value);
+    return magnitude >= 1e5 || magnitude < 1e-3 ? value.toExponential(3) : value.toPrecision(4);
+}
+
+function updateEnergyMomentum() {
+    const v = parseFloat(energyVelocityInput.value);
+    const restEnergy = parseFloat(energyRestMassInput.value);
+    energyVelocityDisplay.textContent = isSIUnits ? `${(v * C_SI).toExponential(2)} m/s` : `${v.toFixed(3)}c`;
+    if (!(restEnergy > 0)) return; // Wait for a usable mass
+
+    const unit = energyUnits[energyUnitSelect.value];
+    const dynamics = calculateEnergyMomentum(restEnergy, v);
+    const energyText = valueMeV => formatEnergyValue(valueMeV * unit.fromMeV);
+    const momentumText = pcMeV => formatEnergyValue(pcMeV * unit.fromMeV * unit.momentumFactor);
+
+    energyRestMassSiDisplay.textContent = `= ${(restEnergy * 1e6 * ELECTRON_VOLT_SI / C_SI ** 2).toExponential(3)} kg`;
+    energyGammaDisplay.textContent = dynamics.gamma.toFixed(dynamics.gamma < 100 ? 2 : 0);
+    energyMomentumDisplay.textContent = `${momentumText(dynamics.momentum)} ${unit.momentum}`;
+    energyTotalDisplay.textContent = `${energyText(dynamics.totalEnergy)} ${unit.energy}`;
+    energyKineticDisplay.textContent = `${energyText(dynamics.kineticEnergy)} ${unit.energy}`;
+    energyNewtonianDisplay.textContent = `${energyText(dynamics.newtonianKineticEnergy)} ${unit.energy}`;
+    // Every term as an energy, so pc rather than p even in SI
+    energyRelationDisplay.textContent = `(${energyText(dynamics.totalEnergy)})² = (${energyText(Math.abs(dynamics.momentum))})² + (${energyText(restEnergy)})² ${unit.energy}²`;
+
+    if (energyP5) energyP5.redraw();
+}
+
+/**
+ * The p5.js sketch for the energy plot: total, kinetic and Newtonian kinetic energy and momentum
+ * against speed, in units of the rest energy, with the current speed marked.
+ * @param {p5} sketch The p5.js instance.
+ */
+const energySketch = function (sketch) {
+    const margin = { left: 48, right: 16, top: 16, bottom: 36 };
+    const maxPlotted = 5; // In units of mc²
+    const curves = [
+        { label: 'E', color: [255, 255, 255], value: d => d.totalEnergy },
+        { label: 'K', color: [246, 173, 85], value: d => d.kineticEnergy },
+        { label: '½mv²', color: [160, 160, 170], value: d => d.newtonianKineticEnergy },
+        { label: 'pc', color: [79, 209, 197], value: d => Math.abs(d.momentum) },
+    ];
+
+    sketch.setup = function () {
+        sketch.pixelDensity(1);
+        const canvas = sketch.createCanvas(energyCanvasContainer.offsetWidth, energyCanvasContainer.offsetHeight);
+        canvas.parent('energy-canvas-container');
+        sketch.windowResized = () => {
+            sketch.resizeCanvas(energyCanvasContainer.offsetWidth, energyCanvasContainer.offsetHeight);
+            sketch.redraw();
+        };
+        sketch.noLoop(); // Redrawn when the velocity or mass changes
+    };
+
+    sketch.draw = function () {
+        sketch.background(40, 40, 60);
+
+        const right = sketch.width - margin.right;
+        const bottom = sketch.height - margin.bottom;
+        const toScreenX = speed => margin.left + speed * (right - margin.left);
+        const toScreenY = value => bottom - value / maxPlotted * (bottom - margin.top);
+
+        sketch.stroke(120);
+        sketch.strokeWeight(1);
+        sketch.line(margin.left, margin.top, margin.left, bottom);
+        sketch.line(margin.left, bottom, right, bottom);
+        sketch.noStroke();
+        sketch.fill(200);
+        sketch.textSize(11);
+        sketch.textAlign(sketch.CENTER, sketch.TOP);
+        for (let speed = 0; speed <= 1.001; speed += 0.2) {
+            sketch.text(`${speed.toFixed(1)}c`, toScreenX(speed), bottom + 4);
+        }
+        sketch.text('Speed', (margin.left + right) / 2, bottom + 18);
+        sketch.textAlign(sketch.RIGHT, sketch.CENTER);
+        for (let value = 0; value <= maxPlotted; value++) {
+            sketch.text(`${value}mc²`, margin.left - 6, toScreenY(value));
+        }
+
+        // Each curve stops where it leaves the top of the plot
+        const samples = [];
+        for (let i = 0; i <= 200; i++) {
+            const speed = 0.999 * i / 200;
+            samples.push({ speed, dynamics: calculateEnergyMomentum(1, speed) });
+        }
+        sketch.noFill();
+        sketch.strokeWeight(2);
+        curves.forEach(curve => {
+            sketch.stroke(...curve.color);
+            sketch.beginShape();
+            for (const { speed, dynamics } of samples) {
+                const value = curve.value(dynamics);
+                sketch.vertex(toScreenX(speed), toScreenY(Math.min(value, maxPlotted)));
+                if (value > maxPlotted) break;
+            }
+            sketch.endShape();
+        });
+
+        // The current speed, with where each quantity is on it
+        const speed = Math.abs(parseFloat(energyVelocityInput.value));
+        const current = calculateEnergyMomentum(1, speed);
+        sketch.stroke(167, 139, 250);
+        sketch.strokeWeight(1.5);
+        sketch.line(toScreenX(speed), margin.top, toScreenX(speed), bottom);
+        sketch.noStroke();
+        curves.forEach(curve => {
+            const value = curve.value(current);
+            if (value <= maxPlotted) {
+                sketch.fill(...curve.color);
+                sketch.circle(toScreenX(speed), toScreenY(value), 7);
+            }
+        });
+
+        sketch.textAlign(sketch.LEFT, sketch.TOP);
+        curves.forEach((curve, i) => {
+            sketch.fill(...curve.color);
+            sketch.text(`${curve.label} = ${curve.value(current).toFixed(3)} mc²`, margin.left + 8, margin.top + 2 + i * 16);
+        });
+    };
+};
+
+// Initialize the energy plot
+energyP5 = new p5(energySketch);
+
+energyVelocityInput.addEventListener('input', () => {
+    updateEnergyMomentum();
+    if (!globalVelocityInput.isGlobalUpdate) { // Prevent infinite loop
+        updateAllVelocities(parseFloat(energyVelocityInput.value));
+    }
+});
+energyRestMassInput.addEventListener('input', updateEnergyMomentum);
+energyUnitSelect.addEventListener('change', updateEnergyMomentum);
+
+energyParticleButtons.forEach(button => {
+    button.addEventListener('click', () => {
+        energyRestMassInput.value = button.dataset.restEnergy;
+        updateEnergyMomentum();
+    });
+});
+
+// Initial update for energy and momentum when the page loads
+updateEnergyMomentum();
+
+
+// --- Four-Momentum Workbench Logic ---
+const collisionTableBody = document.getElementById('collision-table-body');
+const collisionTableEmpty = document.getElementById('collision-table-empty');
+const addCollisionParticleBtn = document.getElementById('add-collision-particle-btn');
+const collisionTotalDisplay = document.getElementById('collision-total-display');
+const collisionInvariantMassDisplay = document.getElementById('collision-invariant-mass-display');
+const collisionCmVelocityDisplay = document.getElementById('collision-cm-velocity-display');
+const collisionCanvasContainer = document.getElementById('collision-canvas-container');
+const decayPresetSelect = document.getElementById('decay-preset-select');
+const decayParentMassInput = document.getElementById('decay-parent-mass');
+const decayMass1Input = document.getElementById('decay-mass-1');
+const decayMass2Input = document.getElementById('decay-mass-2');
+const decayUseInvariantMassBtn = document.getElementById('decay-use-invariant-mass-btn');
+const decayEnergiesDisplay = document.getElementById('decay-energies-display');
+const decayKineticDisplay = document.getElementById('decay-kinetic-display');
+const decayMomentumDisplay = document.getElementById('decay-momentum-display');
+const thresholdPresetSelect = document.getElementById('threshold-preset-select');
+const thresholdBeamMassInput = document.getElementById('threshold-beam-mass');
+const thresholdTargetMassInput = document.getElementById('threshold-target-mass');
+const thresholdFinalMassesInput = document.getElementById('threshold-final-masses');
+const thresholdInvariantMassDisplay = document.getElementById('threshold-invariant-mass-display');
+const thresholdEnergyDisplay = document.getElementById('threshold-energy-display');
+const thresholdMomentumDisplay = document.getElementById('threshold-momentum-display');
+
+const PROTON_MASS_MEV = 938.27208816;
+const collisionColors = ['#f6ad55', '#63b3ed', '#68d391', '#f687b3', '#b794f4', '#4fd1c5'];
+// Momenta in MeV/c along x and y of the lab; masses in MeV/c²
+let collisionParticles = [
+    { id: 1, name: 'Beam p', mass: PROTON_MASS_MEV, px: 2000, py: 0 },
+    { id: 2, name: 'Target p', mass: PROTON_MASS_MEV, px: 0, py: 0 },
+];
+let nextCollisionParticleId = 3;
+let collisionKinematics = null;
+let collisionP5; // p5.js instance for the momentum arrows
+
+function getCollisionKinematics() {
+    return calculateCollisionKinematics(collisionParticles.map(particle => ({
+        mass: particle.mass,
+        momentum: { x: particle.px, y: particle.py, z: 0 },
+    })));
+}
+
+function renderCollisionTable() {
+    collisionTableBody.innerHTML = '';
+    collisionParticles.forEach(particle => {
+        const row = document.createElement('tr');
+        row.dataset.particleId = particle.id;
+        row.innerHTML = `
+            <td><input type="text" data-field="name" aria-label="Particle name"></td>
+            <td><input type="number" step="any" min="0" data-field="mass" aria-label="Rest mass in MeV per c squared"></td>
+            <td><input type="number" step="100" data-field="px" aria-label="Lab momentum along x in MeV per c"></td>
+            <td><input type="number" step="100" data-field="py" aria-label="Lab momentum along y in MeV per c"></td>
+            <td data-output="E"></td>
+            <td data-output="cmE"></td>
+            <td data-output="cmPx"></td>
+            <td data-output="cmPy"></td>
+            <td><button type="button" class="delete-event-btn" aria-label="Delete particle">×</button></td>
+        `;
+        collisionTableBody.appendChild(row);
+    });
+    collisionTableEmpty.classList.toggle('hidden', collisionParticles.length > 0);
+    refreshCollisionTable();
+}
+
+/**
+ * Recomputes the collision and updates the table, the totals and the arrows.
+ */
+function refreshCollisionTable() {
+    collisionKinematics = getCollisionKinematics();
+    const { fourMomenta, total, invariantMass, cmVelocity, cmFourMomenta } = collisionKinematics;
+
+    collisionTableBody.querySelectorAll('tr').forEach((row, i) => {
+        const particle = collisionParticles[i];
+        row.querySelectorAll('input').forEach(input => {
+            if (input !== document.activeElement) {
+                const value = particle[input.dataset.field];
+                input.value = typeof value === 'number' ? String(Math.round(value * 1e6) / 1e6) : value;
+            }
+        });
+        const cm = cmFourMomenta ? cmFourMomenta[i] : null;
+        const outputs = {
+            E: formatEnergyValue(fourMomenta[i].E),
+            cmE: cm ? formatEnergyValue(cm.E) : '—',
+            cmPx: cm ? formatEnergyValue(cm.px) : '—',
+            cmPy: cm ? formatEnergyValue(cm.py) : '—',
+        };
+        row.querySelectorAll('[data-output]').forEach(cell => {
+            cell.textContent = outputs[cell.dataset.output];
+        });
+        row.style.color = collisionColors[i % collisionColors.length];
+    });
+
+    collisionTotalDisplay.textContent =
+        `(${formatEnergyValue(total.E)}, ${formatEnergyValue(total.px)}, ${formatEnergyValue(total.py)}) MeV`;
+    collisionInvariantMassDisplay.textContent = `${formatEnergyValue(invariantMass)} MeV/c²`;
+    const cmSpeed = Math.hypot(cmVelocity.x, cmVelocity.y);
+    collisionCmVelocityDisplay.textContent = !cmFourMomenta
+        ? 'none (no rest frame)'
+        : cmSpeed > 0
+            ? `${cmSpeed.toFixed(4)}c at ${planeDirection(cmVelocity).toFixed(1)}°`
+            : '0 (already the CM frame)';
+
+    if (collisionP5) collisionP5.redraw();
+}
+
+/**
+ * The p5.js sketch for the collision: each particle's momentum as an arrow, in the lab frame
+ * and in the CM frame, on one scale.
+ * @param {p5} sketch The p5.js instance.
+ */
+const collisionSketch = function (sketch) {
+    const padding = 16;
+
+    sketch.setup = function () {
+        sketch.pixelDensity(1);
+        const canvas = sketch.createCanvas(collisionCanvasContainer.offsetWidth, collisionCanvasContainer.offsetHeight);
+        canvas.parent('collision-canvas-container');
+        sketch.windowResized = () => {
+            sketch.resizeCanvas(collisionCanvasContainer.offsetWidth, collisionCanvasContainer.offsetHeight);
+            sketch.redraw();
+        };
+        sketch.noLoop(); // Redrawn when the particles change
+    };
+
+    function drawMomentumArrow(centerX, centerY, scale, momentum, color, label) {
+        const toX = centerX + momentum.px * scale;
+        const toY = centerY - momentum.py * scale;
+        const length = Math.hypot(toX - centerX, toY - centerY);
+        sketch.stroke(color);
+        sketch.fill(color);
+        sketch.strokeWeight(2.5);
+        if (length < 2) {
+            sketch.circle(centerX, centerY, 7); // At rest
+        } else {
+            const ux = (toX - centerX) / length;
+            const uy = (toY - centerY) / length;
+            const head = Math.min(10, length / 2);
+            sketch.line(centerX, centerY, toX - ux * head * 0.8, toY - uy * head * 0.8);
+            sketch.noStroke();
+            sketch.triangle(
+                toX, toY,
+                toX - ux * head - uy * head / 2, toY - uy * head + ux * head / 2,
+                toX - ux * head + uy * head / 2, toY - uy * head - ux * head / 2
+            );
+        }
+        sketch.noStroke();
+        sketch.textSize(11);
+        sketch.textAlign(sketch.LEFT, sketch.BOTTOM);
+        sketch.text(label, (length < 2 ? centerX : toX) + 5, (length < 2 ? centerY : toY) - 3);
+    }
+
+    sketch.draw = function () {
+        sketch.background(40, 40, 60);
+        if (!collisionKinematics) return;
+        const { fourMomenta, cmFourMomenta, total } = collisionKinematics;
+
+        const panelWidth = (sketch.width - 3 * padding) / 2;
+        const panelHeight = sketch.height - 2 * padding - 20;
+        const panels = [
+            { title: 'Lab frame', left: padding, momenta: fourMomenta },
+            { title: 'CM frame', left: 2 * padding + panelWidth, momenta: cmFourMomenta },
+        ];
+        // One scale for both panels, so the arrows can be compared
+        const largest = Math.max(
+            1e-9,
+            ...panels.flatMap(panel => (panel.momenta || []).map(p => Math.hypot(p.px, p.py))),
+            Math.hypot(total.px, total.py),
+        );
+        const scale = 0.45 * Math.min(panelWidth, panelHeight) / largest;
+
+        panels.forEach(panel => {
+            const centerX = panel.left + panelWidth / 2;
+            const centerY = padding + 20 + panelHeight / 2;
+            sketch.noFill();
+            sketch.stroke(90, 90, 110);
+            sketch.strokeWeight(1);
+            sketch.rect(panel.left, padding + 20, panelWidth, panelHeight);
+            sketch.line(panel.left, centerY, panel.left + panelWidth, centerY);
+            sketch.line(centerX, padding + 20, centerX, padding + 20 + panelHeight);
+            sketch.noStroke();
+            sketch.fill(230);
+            sketch.textSize(12);
+            sketch.textAlign(sketch.LEFT, sketch.TOP);
+            sketch.text(panel.title, panel.left, padding);
+
+            if (!panel.momenta) {
+                sketch.textAlign(sketch.CENTER, sketch.CENTER);
+                sketch.text('No CM frame', centerX, centerY);
+                return;
+            }
+            if (panel.title === 'Lab frame' && panel.momenta.length > 1) {
+                drawMomentumArrow(centerX, centerY, scale, total, 'rgba(255, 255, 255, 0.5)', 'total');
+            }
+            panel.momenta.forEach((momentum, i) => {
+                drawMomentumArrow(centerX, centerY, scale, momentum, collisionColors[i % collisionColors.length], collisionParticles[i].name);
+            });
+        });
+    };
+};
+
+function updateTwoBodyDecay() {
+    const parentMass = parseFloat(decayParentMassInput.value);
+    const mass1 = parseFloat(decayMass1Input.value);
+    const mass2 = parseFloat(decayMass2Input.value);
+    if (![parentMass, mass1, mass2].every(m => m >= 0)) return; // Wait for usable masses
+
+    const decay = calculateTwoBodyDecay(parentMass, mass1, mass2);
+    if (!decay) {
+        decayEnergiesDisplay.textContent = 'Not allowed: m₁ + m₂ is more than M';
+        decayKineticDisplay.textContent = '—';
+        decayMomentumDisplay.textContent = '—';
+        return;
+    }
+    decayEnergiesDisplay.textContent = `${formatEnergyValue(decay.energy1)} / ${formatEnergyValue(decay.energy2)} MeV`;
+    decayKineticDisplay.textContent = `${formatEnergyValue(decay.kineticEnergy1)} / ${formatEnergyValue(decay.kineticEnergy2)} MeV`;
+    decayMomentumDisplay.textContent = `${formatEnergyValue(decay.momentum)} MeV`;
+}
+
+function updateThresholdEnergy() {
+    const beamMass = parseFloat(thresholdBeamMassInput.value);
+    const targetMass = parseFloat(thresholdTargetMassInput.value);
+    const finalMasses = thresholdFinalMassesInput.value.split(',').map(text => parseFloat(text));
+    if (!(beamMass >= 0) || !(targetMass > 0) || !finalMasses.every(m => m >= 0)) {
+        thresholdInvariantMassDisplay.textContent = 'Enter masses in MeV/c², the final ones separated by commas (the target needs a mass)';
+        thresholdEnergyDisplay.textContent = '—';
+        thresholdMomentumDisplay.textContent = '—';
+        return;
+    }
+    const threshold = calculateThresholdEnergy(beamMass, targetMass, finalMasses);
+    thresholdInvariantMassDisplay.textContent = `${formatEnergyValue(threshold.invariantMass)} MeV`;
+    thresholdEnergyDisplay.textContent =
+        `${formatEnergyValue(threshold.totalEnergy)} / ${formatEnergyValue(threshold.kineticEnergy)} MeV`;
+    thresholdMomentumDisplay.textContent = `${formatEnergyValue(threshold.momentum)} MeV`;
+}
+
+// Initialize the momentum arrows
+collisionP5 = new p5(collisionSketch);
+
+addCollisionParticleBtn.addEventListener('click', () => {
+    const id = nextCollisionParticleId++;
+    collisionParticles.push({ id, name: `Particle ${id}`, mass: PROTON_MASS_MEV, px: 0, py: 0 });
+    renderCollisionTable();
+});
+
+function findCollisionParticleForInput(element) {
+    const row = element.closest('tr');
+    return row ? collisionParticles.find(p => p.id === Number(row.dataset.particleId)) : undefined;
+}
+
+collisionTableBody.addEventListener('input', (e) => {
+    const input = e.target;
+    const particle = findCollisionParticleForInput(input);
+    if (!particle) return;
+    const field = input.dataset.field;
+
+    if (field === 'name') {
+        particle.name = input.value;
+    } else {
+        const value = parseFloat(input.value);
+        if (!isFinite(value)) return; // Wait for a complete number
+        particle[field] = field === 'mass' ? Math.max(0, value) : value;
+    }
+    refreshCollisionTable();
+});
+
+// Show the clamped mass once the field is left
+collisionTableBody.addEventListener('change', (e) => {
+    const particle = findCollisionParticleForInput(e.target);
+    if (particle && e.target.dataset.field === 'mass') e.target.value = String(particle.mass);
+});
+
+collisionTableBody.addEventListener('click', (e) => {
+    if (!e.target.closest('.delete-event-btn')) return;
+    const particle = findCollisionParticleForInput(e.target);
+    collisionParticles = collisionParticles.filter(p => p !== particle);
+    renderCollisionTable();
+});
+
+decayPresetSelect.addEventListener('change', () => {
+    [decayParentMassInput.value, decayMass1Input.value, decayMass2Input.value] = decayPresetSelect.value.split(',');
+    updateTwoBodyDecay();
+});
+
+// Decay the system the collision made, e.g. to see what a resonance at that √s would give
+decayUseInvariantMassBtn.addEventListener('click', () => {
+    if (!collisionKinematics) return;
+    decayParentMassInput.value = String(Math.round(collisionKinematics.invariantMass * 1e6) / 1e6);
+    updateTwoBodyDecay();
+});
+
+[decayParentMassInput, decayMass1Input, decayMass2Input].forEach(input => {
+    input.addEventListener('input', updateTwoBodyDecay);
+});
+
+thresholdPresetSelect.addEventListener('change', () => {
+    const [beamMass, targetMass, finalMasses] = thresholdPresetSelect.value.split('|');
+    thresholdBeamMassInput.value = beamMass;
+    thresholdTargetMassInput.value = targetMass;
+    thresholdFinalMassesInput.value = finalMasses.split(',').join(', ');
+    updateThresholdEnergy();
+});
+
+[thresholdBeamMassInput, thresholdTargetMassInput, thresholdFinalMassesInput].forEach(input => {
+    input.addEventListener('input', updateThresholdEnergy);
+});
+
+// Initial update for the workbench when the page loads
+renderCollisionTable();
+updateTwoBodyDecay();
+updateThresholdEnergy();
+
+
+// --- Twin Paradox Logic ---
+const twinVelocityInput = document.getElementById('twin-velocity');
+const twinVelocityDisplay = document.getElementById('twin-velocity-display');
+const twinDistanceInput = document.getElementById('twin-distance');
+const twinDistanceDisplay = document.getElementById('twin-distance-display');
+const earthTimeDisplay = document.getElementById('earth-time-display');
+const travelingTwinTimeDisplay = document.getElementById('traveling-twin-time-display');
+const twinJumpBeforeDisplay = document.getElementById('twin-jump-before-display');
+const twinJumpAfterDisplay = document.getElementById('twin-jump-after-display');
+const twinJumpDisplay = document.getElementById('twin-jump-display');
+const twinCanvasContainer = document.getElementById('twin-canvas-container');
+const playPauseTwinBtn = document.getElementById('play-pause-twin');
+const resetTwinBtn = document.getElementById('reset-twin');
+const twinSignalsToggle = document.getElementById('twin-signals-toggle');
+const twinSignalsPanel = document.getElementById('twin-signals-panel');
+const twinTravelerReceivedDisplay = document.getElementById('twin-traveler-received-display');
+const twinEarthReceivedDisplay = document.getElementById('twin-earth-received-display');
+const twinDopplerDisplay = document.getElementById('twin-doppler-display');
+
+const twinAnimationDuration = 8; // Real seconds for one animated round trip, whatever its length
+const maxDrawnTwinSignals = 300; // Beyond this the pulses merge into a solid fill and slow the animation
+let twinTrip = calculateTwinParadox(parseFloat(twinDistanceInput.value), parseFloat(twinVelocityInput.value));
+let twinSignals = calculateTwinSignals(parseFloat(twinDistanceInput.value), parseFloat(twinVelocityInput.value));
+let twinProgress = 0; // Fraction of the round trip (in Earth time) already animated
+let isTwinPlaying = false;
+let twinP5; // p5.js instance for the twin paradox diagram
+
+function formatYears(years) {
+    return Number.isFinite(years) ? `${years.toFixed(2)} years` : '∞ years';
+}
+
+/**
+ * Position of the traveling twin at a given Earth time (light-years, years).
+ * @param {object} trip Result of calculateTwinParadox.
+ * @param {number} distance Destination distance in light-years.
+ * @param {number} t Earth time in years.
+ * @returns {number} Distance from Earth in light-years.
+ */
+function twinTravelerPosition(trip, distance, t) {
+    return t <= trip.turnaroundTime
+        ? trip.speed * t
+        : distance - trip.speed * (t - trip.turnaroundTime);
+}
+
+function updateTwinParadox() {
+    const v_twin = parseFloat(twinVelocityInput.value);
+    const distance = parseFloat(twinDistanceInput.value);
 
-// --- Spacetime Diagram Logic (using p5.js) ---
-const velocitySpacetimeInput = document.getElementById('velocity-spacetime');
-const velocitySpacetimeDisplay = document.getElementById('velocity-spacetime-display');
-const lorentzFactorSpacetimeDisplay = document.getElementById('lorentz-factor-spacetime');
-const spacetimeCanvasContainer = document.getElementById('spacetime-canvas-container');
-const frameRadios = document.querySelectorAll('input[name="spacetime-frame"]');
-const clearEventsBtn = document.getElementById('clear-events-btn');
+    // Earth-based time is the coordinate time (Delta t)
+    // Traveling twin's time is the proper time (Delta tau)
+    twinTrip = calculateTwinParadox(distance, v_twin);
 
-let currentSpacetimeVelocity = 0; // Velocity for the moving observer
-let activeFrame = 'stationary'; // 'stationary' or 'moving'
-let s; // Variable to hold the p5.js instance
-let events = []; // Array to store custom events {x, ct} in stationary frame coordinates
+    twinVelocityDisplay.textContent = isSIUnits ? `${(v_twin * C_SI).toExponential(2)} m/s` : `${v_twin.toFixed(3)}c`;
+    twinDistanceDisplay.textContent = isSIUnits ? `${(distance * LIGHT_YEAR_SI).toExponential(2)} m` : `${distance.toFixed(1)} ly`;
+    earthTimeDisplay.textContent = formatYears(twinTrip.earthTime);
+    travelingTwinTimeDisplay.textContent = formatYears(twinTrip.travelerTime);
+    twinJumpBeforeDisplay.textContent = formatYears(twinTrip.earthTimeSeenBeforeTurnaround);
+    twinJumpAfterDisplay.textContent = formatYears(twinTrip.earthTimeSeenAfterTurnaround);
+    twinJumpDisplay.textContent = formatYears(twinTrip.simultaneityJump);
+
+    // Yearly light signals (k-calculus view of the same trip)
+    twinSignals = calculateTwinSignals(distance, v_twin);
+    const isTripPossible = Number.isFinite(twinTrip.earthTime);
+    twinTravelerReceivedDisplay.textContent = isTripPossible
+        ? `${twinSignals.travelerReceived.outbound} / ${twinSignals.travelerReceived.return}`
+        : '—';
+    twinEarthReceivedDisplay.textContent = isTripPossible
+        ? `${twinSignals.earthReceived.outbound} / ${twinSignals.earthReceived.return}`
+        : '—';
+    twinDopplerDisplay.textContent = `${twinSignals.dopplerOutbound.toFixed(3)} / ${twinSignals.dopplerReturn.toFixed(3)}`;
+
+    if (!Number.isFinite(twinTrip.earthTime)) {
+        setTwinPlaying(false);
+    }
+    if (twinP5) twinP5.redraw();
+}
+
+function setTwinPlaying(playing) {
+    isTwinPlaying = playing;
+    playPauseTwinBtn.textContent = playing ? 'Pause' : 'Play';
+    if (!twinP5) return;
+    if (playing) {
+        twinP5.loop();
+    } else {
+        twinP5.noLoop();
+    }
+}
 
 /**
- * The p5.js sketch for the spacetime diagram.
+ * The p5.js sketch for the twin paradox spacetime diagram, drawn in Earth's frame.
  * @param {p5} sketch The p5.js instance.
  */
-const sketch = function (sketch) {
-    let scaleFactor = 50;
-    let originX, originY;
-    let unitScale = C_norm; // Add this to handle SI unit scaling
+const twinSketch = function (sketch) {
+    const margin = 30;
+    const labelSpace = 70; // Room left of Earth's worldline for its clock readings
+    let scaleFactor, originX, originY;
+
+    const toScreenX = x => originX + x * scaleFactor;
+    const toScreenY = ct => originY - ct * scaleFactor;
 
     sketch.setup = function () {
         sketch.pixelDensity(1);
-        
-        // Create the canvas inside the specified container
-        const canvas = sketch.createCanvas(spacetimeCanvasContainer.offsetWidth, spacetimeCanvasContainer.offsetHeight);
-        canvas.parent('spacetime-canvas-container');
-        sketch.angleMode(sketch.DEGREES); // Use degrees for easy angle calculations
-        sketch.rectMode(sketch.CENTER); // For drawing rectangles from their center
+        const canvas = sketch.createCanvas(twinCanvasContainer.offsetWidth, twinCanvasContainer.offsetHeight);
+        canvas.parent('twin-canvas-container');
         sketch.textAlign(sketch.CENTER, sketch.CENTER);
-
-        // Set up initial origin (center of canvas)
-        originX = sketch.width / 2;
-        originY = sketch.height / 2;
-
-        unitScale = 1 / C_norm; // Scale down for SI units
-
-        // Adjust scale factor based on canvas size for responsiveness
-        scaleFactor = sketch.min(sketch.width, sketch.height) / 5; // Example scaling, ensures content fits
         sketch.windowResized = () => {
-            sketch.resizeCanvas(spacetimeCanvasContainer.offsetWidth, spacetimeCanvasContainer.offsetHeight);
-            originX = sketch.width / 2;
-            originY = sketch.height / 2;
-            scaleFactor = sketch.min(sketch.width, sketch.height) / 5;
-            sketch.redraw(); // Request redraw on resize
+            sketch.resizeCanvas(twinCanvasContainer.offsetWidth, twinCanvasContainer.offsetHeight);
+            sketch.redraw();
         };
-        sketch.noLoop(); // Draw only when needed (on velocity change, frame change, or event click)
+        sketch.noLoop(); // Only loop while the trip is being animated
     };
 
     sketch.draw = function () {
-        sketch.background(40, 40, 60); // Dark background
-
-        // Get the current velocity value
-        const v_input = parseFloat(velocitySpacetimeInput.value);
-        currentSpacetimeVelocity = v_input;
+        sketch.background(40, 40, 60);
 
-        // Calculate effective v/c based on units
-        const effective_v = currentSpacetimeVelocity;
-        const gamma = calculateLorentzFactor(currentSpacetimeVelocity);
+        const distance = parseFloat(twinDistanceInput.value);
+        const trip = twinTrip;
+        const isTripPossible = Number.isFinite(trip.earthTime);
 
-        // Update display - show full velocity in SI units, v/c in natural units
-        velocitySpacetimeDisplay.textContent = isSIUnits
-            ? `${(currentSpacetimeVelocity * C_SI).toExponential(2)} m/s`
-            : `${currentSpacetimeVelocity.toFixed(3)}c`;
-        lorentzFactorSpacetimeDisplay.textContent = gamma.toFixed(2);
+        if (isTwinPlaying) {
+            // Cap the step so a long pause between frames doesn't skip the whole trip
+            twinProgress = Math.min(1, twinProgress + Math.min(sketch.deltaTime, 100) / 1000 / twinAnimationDuration);
+            if (twinProgress >= 1) {
+                setTwinPlaying(false);
+            }
+        }
 
-        sketch.push();
-        sketch.translate(originX, originY); // Move origin to center of canvas
-        sketch.scale(1, -1); // Flip Y-axis so +t is upwards (standard physics convention)
+        // Equal scales on both axes keep light rays at 45°
+        const tripHeight = isTripPossible ? trip.earthTime : 2 * distance;
+        scaleFactor = Math.min(
+            (sketch.width - 2 * margin - labelSpace) / distance,
+            (sketch.height - 2 * margin) / tripHeight
+        );
+        originX = margin + labelSpace;
+        originY = sketch.height - margin;
 
-        let canvas_half_width = sketch.width / 2;
-        let canvas_half_height = sketch.height / 2;
-        let extend_line_factor = 2; // Factor to extend lines beyond canvas for clipping by p5.js
+        // --- Light ray leaving Earth at departure, for reference ---
+        sketch.stroke(255, 255, 0, 90);
+        sketch.strokeWeight(1);
+        const lightExtent = Math.min(distance, tripHeight);
+        sketch.line(toScreenX(0), toScreenY(0), toScreenX(lightExtent), toScreenY(lightExtent));
 
-        // --- Draw light cone (ct = +/- x) - always the same ---
-        sketch.stroke(255, 255, 0, 150); // Yellow, semi-transparent
+        // --- Earth and destination worldlines ---
+        sketch.stroke(200);
         sketch.strokeWeight(2);
-        // Lines extending to canvas edges
-        sketch.line(-canvas_half_width * extend_line_factor, -canvas_half_width * extend_line_factor, canvas_half_width * extend_line_factor, canvas_half_width * extend_line_factor); // ct = x
-        sketch.line(-canvas_half_width * extend_line_factor, canvas_half_width * extend_line_factor, canvas_half_width * extend_line_factor, -canvas_half_width * extend_line_factor); // ct = -x
+        sketch.line(toScreenX(0), toScreenY(0), toScreenX(0), toScreenY(tripHeight));
+        sketch.stroke(120);
+        sketch.strokeWeight(1);
+        sketch.line(toScreenX(distance), toScreenY(0), toScreenX(distance), toScreenY(tripHeight));
+
         sketch.noStroke();
-        sketch.fill(255, 255, 0, 50); // Light yellow fill
-        // Draw light cone triangles, ensure they cover the area
-        let cone_extent = sketch.max(canvas_half_width, canvas_half_height) * extend_line_factor;
-        sketch.triangle(0, 0, -cone_extent, -cone_extent, cone_extent, -cone_extent); // Future light cone
-        sketch.triangle(0, 0, -cone_extent, cone_extent, cone_extent, cone_extent); // Past light cone
-
-
-        let axis1_color, axis2_color; // Colors for primary and secondary axes/grids
-        let axis1_label, axis2_label; // Labels for primary and secondary axes
-        let axis2_slope; // Slope for the secondary x-axis (ct' vs x or ct vs x')
-        let axis1_slope; // Slope for the secondary ct-axis (ct' vs x or ct vs x')
-        let grid1_color, grid2_color, grid3_color; // Colors for primary and secondary grids
-
-        let current_v_for_drawing; // Velocity to use for slope calculations
-
-        if (activeFrame === 'stationary') {
-            // Stationary frame is primary (orthogonal)
-            axis1_color = 200; // Grey for stationary
-            grid1_color = 100;
-            axis1_label = ['ct', 'x'];
-
-            axis2_color = sketch.color(100, 150, 255); // Blue for moving
-            grid2_color = sketch.color(50, 180, 50, 100); // Green for simultaneity
-            grid3_color = sketch.color(255, 165, 0, 100); // Orange for constant position
-
-            current_v_for_drawing = currentSpacetimeVelocity; // Use actual velocity for shear
-            axis2_slope = effective_v; // slope of x' axis in ct vs x is v/c
-            axis1_slope = 1 / effective_v; // slope of ct' axis in ct vs x is c/v
-        } else { // activeFrame === 'moving'
-            // Moving frame is primary (orthogonal)
-            axis1_color = sketch.color(100, 150, 255); // Blue for moving (now orthogonal)
-            grid1_color = sketch.color(50, 150, 200, 100); // Lighter blue for its grid
-            axis1_label = ["ct'", "x'"];
-
-            axis2_color = 200; // Grey for stationary (now sheared)
-            grid2_color = sketch.color(100, 100, 100, 100); // Darker grey for simultaneity
-            grid3_color = sketch.color(150, 100, 50, 100); // Darker orange for constant position
-
-            current_v_for_drawing = -currentSpacetimeVelocity; // Inverse velocity for shear
-            axis2_slope = -effective_v; // slope of x axis in ct' vs x' is -v/c
-            axis1_slope = -1 / effective_v; // slope of ct axis in ct' vs x' is -c/v
+        sketch.fill(200);
+        sketch.textSize(12);
+        sketch.text('Earth', toScreenX(0), originY + 15);
+        sketch.text(`Star (${distance.toFixed(1)} ly)`, toScreenX(distance), originY + 15);
+
+        // --- Earth clock ticks ---
+        const earthStep = niceTickStep(tripHeight);
+        sketch.textAlign(sketch.RIGHT, sketch.CENTER);
+        sketch.textSize(10);
+        for (let i = 0; i * earthStep <= tripHeight + 1e-9; i++) {
+            const t = i * earthStep;
+            sketch.stroke(200);
+            sketch.line(toScreenX(0) - 4, toScreenY(t), toScreenX(0) + 4, toScreenY(t));
+            sketch.noStroke();
+            sketch.fill(200);
+            sketch.text(`${formatTick(t, earthStep)} yr`, toScreenX(0) - 8, toScreenY(t));
         }
+        sketch.textAlign(sketch.CENTER, sketch.CENTER);
 
-        if (isSIUnits) {
-            axis1_label = ["ct (m)", "x (m)"];
-            axis2_label = activeFrame === 'stationary' ? ["ct' (m)", "x' (m)"] : ["ct (m)", "x (m)"];
+        if (!isTripPossible) {
+            sketch.fill(255);
+            sketch.textSize(14);
+            sketch.text('Set a non-zero velocity to start the trip', sketch.width / 2, sketch.height / 2);
+            return;
         }
 
-        // --- Draw primary (orthogonal) axes (ct and x or ct' and x') ---
-        sketch.stroke(axis1_color);
-        sketch.strokeWeight(1.5);
-        sketch.line(-canvas_half_width, 0, canvas_half_width, 0); // x or x' axis
-        sketch.line(0, -canvas_half_height, 0, canvas_half_height); // ct or ct' axis
-
-        // --- Draw primary (orthogonal) grid lines ---
-        sketch.stroke(grid1_color);
-        sketch.strokeWeight(0.5);
-
-        for (let i = -4; i <= 4; i++) {
-            let scaledCoord = i * scaleFactor * unitScale;
-            sketch.line(scaledCoord, -canvas_half_height, scaledCoord, canvas_half_height);
-            sketch.line(-canvas_half_width, scaledCoord, canvas_half_width, scaledCoord);
-        }
+        const turnaroundY = toScreenY(trip.turnaroundTime);
 
-        // --- Draw secondary (sheared) axes (ct' and x' or ct and x) ---
-        sketch.stroke(axis2_color);
+        // --- Traveler's lines of simultaneity at turnaround and the jump on Earth's clock ---
         sketch.strokeWeight(1.5);
-
-        // x' or x axis (line ct = slope * x)
-        let x_sec_line_x1 = -canvas_half_width * extend_line_factor;
-        let x_sec_line_y1 = x_sec_line_x1 * axis2_slope;
-        let x_sec_line_x2 = canvas_half_width * extend_line_factor;
-        let x_sec_line_y2 = x_sec_line_x2 * axis2_slope;
-        sketch.line(x_sec_line_x1, x_sec_line_y1, x_sec_line_x2, x_sec_line_y2);
-
-        // ct' or ct axis (line x = slope * ct, or ct = (1/slope)*x)
-        if (current_v_for_drawing === 0) {
-            // Vertical line when v=0
-            sketch.line(0, -canvas_half_height * extend_line_factor, 0, canvas_half_height * extend_line_factor);
-        } else {
-            let ct_sec_slope = axis1_slope;
-            let ct_sec_line_x1 = -canvas_half_width * extend_line_factor;
-            let ct_sec_line_y1 = ct_sec_line_x1 * ct_sec_slope;
-            let ct_sec_line_x2 = canvas_half_width * extend_line_factor;
-            let ct_sec_line_y2 = ct_sec_line_x2 * ct_sec_slope;
-            sketch.line(ct_sec_line_x1, ct_sec_line_y1, ct_sec_line_x2, ct_sec_line_y2);
+        sketch.stroke(50, 180, 50); // Green: outbound frame
+        sketch.line(toScreenX(distance), turnaroundY, toScreenX(0), toScreenY(trip.earthTimeSeenBeforeTurnaround));
+        sketch.stroke(255, 165, 0); // Orange: return frame
+        sketch.line(toScreenX(distance), turnaroundY, toScreenX(0), toScreenY(trip.earthTimeSeenAfterTurnaround));
+        sketch.stroke(255, 60, 60); // Red: the part of Earth's history the traveler's "now" skips over
+        sketch.strokeWeight(5);
+        sketch.line(toScreenX(0), toScreenY(trip.earthTimeSeenBeforeTurnaround), toScreenX(0), toScreenY(trip.earthTimeSeenAfterTurnaround));
+
+        // --- Yearly light pulses, drawn up to the animated "now" ---
+        const tNow = twinProgress * trip.earthTime;
+        if (twinSignalsToggle.checked) {
+            drawTwinSignals(tNow);
         }
 
-        // --- Worldline for the Moving Observer (highlighted ct' axis) ---
-        // This is always the ct' axis of the "real" moving frame.
-        // If activeFrame is 'stationary', it's the blue ct' axis.
-        // If activeFrame is 'moving', it's the now-orthogonal blue ct' axis.
-        sketch.stroke(70, 180, 255); // Slightly different blue for emphasis
-        sketch.strokeWeight(3); // Thicker line
-
-        if (activeFrame === 'stationary') {
-            // It's the sheared blue axis with slope 1/v_input
-            if (currentSpacetimeVelocity === 0) {
-                sketch.line(0, -canvas_half_height * extend_line_factor, 0, canvas_half_height * extend_line_factor);
-            } else {
-                let ct_prime_slope = 1 / currentSpacetimeVelocity;
-                let line_x1 = -canvas_half_width * extend_line_factor;
-                let line_y1 = line_x1 * ct_prime_slope;
-                let line_x2 = canvas_half_width * extend_line_factor;
-                let line_y2 = line_x2 * ct_prime_slope;
-                sketch.line(line_x1, line_y1, line_x2, line_y2);
-            }
-        } else { // activeFrame === 'moving'
-            // It's the orthogonal ct' axis (which is now the canvas's y-axis)
-            sketch.line(0, -canvas_half_height * extend_line_factor, 0, canvas_half_height * extend_line_factor);
+        // --- Traveler's worldline ---
+        sketch.stroke(70, 180, 255);
+        sketch.strokeWeight(3);
+        sketch.line(toScreenX(0), toScreenY(0), toScreenX(distance), turnaroundY);
+        sketch.line(toScreenX(distance), turnaroundY, toScreenX(0), toScreenY(trip.earthTime));
+
+        // Proper time ticks along the traveler's worldline
+        const travelerStep = niceTickStep(trip.travelerTime);
+        sketch.textAlign(sketch.LEFT, sketch.CENTER);
+        sketch.textSize(10);
+        for (let i = 1; i * travelerStep < trip.travelerTime - 1e-9; i++) {
+            const tau = i * travelerStep;
+            const t = tau * trip.gamma;
+            const x = twinTravelerPosition(trip, distance, t);
+            sketch.noStroke();
+            sketch.fill(70, 180, 255);
+            sketch.ellipse(toScreenX(x), toScreenY(t), 6, 6);
+            sketch.fill(150, 210, 255);
+            sketch.text(formatTick(tau, travelerStep), toScreenX(x) + 6, toScreenY(t));
         }
 
+        // --- Animated "now" for both twins ---
+        const xNow = twinTravelerPosition(trip, distance, tNow);
+        const tauNow = tNow / trip.gamma;
+        // The traveler's current line of simultaneity has slope +v outbound and -v on the way back
+        const earthTimeSeenNow = tNow <= trip.turnaroundTime
+            ? tNow - trip.speed * xNow
+            : tNow + trip.speed * xNow;
 
-        // --- Draw a stationary object's world line (vertical line in its own rest frame) ---
-        // This object is at x=1 in the original stationary frame.
-        // If activeFrame is 'stationary', it's a vertical green line at x=1.
-        // If activeFrame is 'moving', its worldline appears sheared with slope 1/(-v_input)
-        sketch.stroke(0, 200, 0, 200); // Green
-        sketch.strokeWeight(2);
-
-        if (activeFrame === 'stationary') {
-            sketch.line(1 * scaleFactor, -canvas_half_height, 1 * scaleFactor, canvas_half_height); // World line for x=1
-            sketch.ellipse(1 * scaleFactor, 0, 10, 10); // Event at (x=1, ct=0)
-        } else { // activeFrame === 'moving'
-            // In moving frame, this object is moving at -v. Its worldline has slope 1/(-v)
-            if (currentSpacetimeVelocity === 0) { // If v=0, it's vertical at x'=1
-                sketch.line(1 * scaleFactor, -canvas_half_height, 1 * scaleFactor, canvas_half_height);
-                sketch.ellipse(1 * scaleFactor, 0, 10, 10);
-            } else {
-                let obj_slope = 1 / (-currentSpacetimeVelocity);
-                // To find the x' position of x=1 in the moving frame at ct'=0:
-                // x' = gamma(x - vt), t'=gamma(t - vx/c^2)
-                // If t'=0, then t = vx/c^2. Substitute into x'
-                // x' = gamma(x - v(vx/c^2)) = gamma(x - v^2x/c^2) = gamma * x * (1 - v^2/c^2) = gamma * x * (1/gamma^2) = x / gamma
-                const x_at_ct0_in_moving_frame = (1 / gamma) * (1 / C);
-
-                let line_x1 = -canvas_half_width * extend_line_factor;
-                let line_y1 = obj_slope * (line_x1 - x_at_ct0_in_moving_frame * scaleFactor);
-                let line_x2 = canvas_half_width * extend_line_factor;
-                let line_y2 = obj_slope * (line_x2 - x_at_ct0_in_moving_frame * scaleFactor);
-                sketch.line(line_x1, line_y1, line_x2, line_y2);
-                sketch.ellipse(x_at_ct0_in_moving_frame * scaleFactor, 0, 10, 10); // Event at (x'=transformed, ct'=0)
-            }
-        }
-
-        // --- Draw grid lines for secondary (sheared) frame ---
-        // Simultaneity lines (lines parallel to x' or x axis with slope 'v' or '-v')
-        // Equation: ct = slope * x + K
-        sketch.stroke(grid2_color);
-        sketch.strokeWeight(0.7);
-        for (let coord = -4; coord <= 4; coord++) {
-            let K_val = (coord / gamma) * scaleFactor * C_norm;
+        sketch.stroke(192, 132, 252);
+        sketch.strokeWeight(1.5);
+        sketch.line(toScreenX(xNow), toScreenY(tNow), toScreenX(0), toScreenY(earthTimeSeenNow));
 
-            let grid_line_x1 = -canvas_half_width * extend_line_factor;
-            let grid_line_y1 = axis2_slope * grid_line_x1 + K_val;
-            let grid_line_x2 = canvas_half_width * extend_line_factor;
-            let grid_line_y2 = axis2_slope * grid_line_x2 + K_val;
+        sketch.noStroke();
+        sketch.fill(255, 255, 0);
+        sketch.ellipse(toScreenX(0), toScreenY(tNow), 10, 10);
+        sketch.fill(192, 132, 252);
+        sketch.ellipse(toScreenX(0), toScreenY(earthTimeSeenNow), 8, 8);
+        sketch.fill(70, 180, 255);
+        sketch.ellipse(toScreenX(xNow), toScreenY(tNow), 12, 12);
+
+        sketch.textSize(11);
+        sketch.fill(255);
+        sketch.text(`Traveler: τ = ${tauNow.toFixed(2)} yr`, toScreenX(xNow) + 10, toScreenY(tNow) - 12);
+        sketch.text(`Earth: t = ${tNow.toFixed(2)} yr`, toScreenX(0) + 10, toScreenY(tNow) + 12);
+        sketch.fill(192, 132, 252);
+        sketch.text(`Traveler's "Earth now": ${earthTimeSeenNow.toFixed(2)} yr`, toScreenX(0) + 10, toScreenY(earthTimeSeenNow) - 12);
+        sketch.textAlign(sketch.CENTER, sketch.CENTER);
+    };
 
-            sketch.line(grid_line_x1, grid_line_y1, grid_line_x2, grid_line_y2);
+    /**
+     * Draws the pulses emitted so far, each cut off at the animated Earth time tNow while in flight.
+     * @param {number} tNow Current animated Earth time in years.
+     */
+    function drawTwinSignals(tNow) {
+        const { earthSignals, travelerSignals } = twinSignals;
+        if (earthSignals.length + travelerSignals.length > maxDrawnTwinSignals) {
+            sketch.noStroke();
+            sketch.fill(255, 255, 0);
+            sketch.textSize(12);
+            sketch.text('Too many yearly pulses to draw - shorten the trip', sketch.width / 2, margin);
+            return;
         }
 
-        // Constant position lines (lines parallel to ct' or ct axis with slope '1/v' or '-1/v')
-        // Equation: ct = slope * x + K_x
-        sketch.stroke(grid3_color);
-        sketch.strokeWeight(0.7);
-        for (let coord = -4; coord <= 4; coord++) {
-            let K_x_val; // Intercept on the primary time axis when x=0
-            if (activeFrame === 'stationary') { // lines of constant x'
-                // x' = gamma(x - vt) => t = (1/v)x - x'/(v*gamma)
-                if (current_v_for_drawing === 0) { // vertical lines
-                    sketch.line(coord * scaleFactor, -canvas_half_height * extend_line_factor, coord * scaleFactor, canvas_half_height * extend_line_factor);
-                    continue;
-                }
-                K_x_val = -(coord / (current_v_for_drawing * gamma)) * scaleFactor;
-            } else { // lines of constant x
-                // x = gamma(x' + vt') => t' = -(1/v)x' + x/(v*gamma)
-                if (current_v_for_drawing === 0) { // vertical lines
-                    sketch.line(coord * scaleFactor, -canvas_half_height * extend_line_factor, coord * scaleFactor, canvas_half_height * extend_line_factor);
-                    continue;
-                }
-                K_x_val = -(coord / (current_v_for_drawing * gamma)) * scaleFactor;
+        sketch.strokeWeight(1);
+        earthSignals.forEach(pulse => {
+            if (pulse.emitTime > tNow) return;
+            const endTime = Math.min(pulse.receiveTime, tNow);
+            sketch.stroke(255, 255, 0, 180); // Yellow: sent by Earth, moving away from it
+            sketch.line(toScreenX(0), toScreenY(pulse.emitTime), toScreenX(endTime - pulse.emitTime), toScreenY(endTime));
+            if (pulse.receiveTime <= tNow) {
+                sketch.noStroke();
+                sketch.fill(255, 255, 0);
+                sketch.ellipse(toScreenX(pulse.receiveX), toScreenY(pulse.receiveTime), 5, 5);
             }
-
-            let ct_sec_slope = axis1_slope;
-            let grid_line_x1 = -canvas_half_width * extend_line_factor;
-            let grid_line_y1 = ct_sec_slope * grid_line_x1 + K_x_val;
-            let grid_line_x2 = canvas_half_width * extend_line_factor;
-            let grid_line_y2 = ct_sec_slope * grid_line_x2 + K_x_val;
-            sketch.line(grid_line_x1, grid_line_y1, grid_line_x2, grid_line_y2);
-        }
-
-        // --- Draw Custom Events and their Simultaneity Lines ---
-        events.forEach(event => {
-            sketch.fill(255, 0, 255); // Magenta for events
-            sketch.noStroke();
-            sketch.ellipse(
-                event.x * scaleFactor * unitScale,
-                event.ct * scaleFactor * unitScale,
-                10, 10
-            );
-
-            // Draw simultaneity line through the event for the active frame
-            sketch.stroke(192, 132, 252, 150); // Lighter purple for event simultaneity lines
-            sketch.strokeWeight(1.5);
-
-            let event_x_scaled = event.x * scaleFactor;
-            let event_ct_scaled = event.ct * scaleFactor;
-
-            // If activeFrame is 'stationary', draw line of constant ct through event (horizontal)
-            // If activeFrame is 'moving', draw line of constant ct' through event (slope = v)
-            if (activeFrame === 'stationary') {
-                sketch.line(-canvas_half_width, event_ct_scaled, canvas_half_width, event_ct_scaled);
-            } else { // activeFrame === 'moving'
-                // For a given event (t, x) in the stationary frame, find its t' value
-                // t' = gamma(t - vx)
-                const gamma_obs = calculateLorentzFactor(currentSpacetimeVelocity);
-                const event_t_prime = gamma_obs * (event.ct - currentSpacetimeVelocity * event.x); // ct'
-
-                // The equation for a line of constant ct' is: ct = v*x + ct'/gamma
-                // So the intercept on the stationary ct axis is (event_t_prime / gamma_obs)
-                let intercept_on_ct_axis = (event_t_prime / gamma_obs) * scaleFactor; // Convert back to pixels
-
-                // Line has slope 'v' relative to stationary frame x-axis
-                let simult_line_x1 = -canvas_half_width * extend_line_factor;
-                let simult_line_y1 = currentSpacetimeVelocity * simult_line_x1 + intercept_on_ct_axis;
-                let simult_line_x2 = canvas_half_width * extend_line_factor;
-                let simult_line_y2 = currentSpacetimeVelocity * simult_line_x2 + intercept_on_ct_axis;
-                sketch.line(simult_line_x1, simult_line_y1, simult_line_x2, simult_line_y2);
+        });
+        travelerSignals.forEach(pulse => {
+            if (pulse.emitTime > tNow) return;
+            const endTime = Math.min(pulse.receiveTime, tNow);
+            sketch.stroke(0, 220, 220, 180); // Cyan: sent by the traveler, moving towards Earth
+            sketch.line(toScreenX(pulse.emitX), toScreenY(pulse.emitTime), toScreenX(pulse.emitX - (endTime - pulse.emitTime)), toScreenY(endTime));
+            if (pulse.receiveTime <= tNow) {
+                sketch.noStroke();
+                sketch.fill(0, 220, 220);
+                sketch.ellipse(toScreenX(0), toScreenY(pulse.receiveTime), 5, 5);
             }
         });
-
-
-        // --- Axis labels ---
-        sketch.fill(255);
-        sketch.noStroke();
-        sketch.scale(1, -1); // Flip Y-axis back for text drawing (standard text orientation)
-        sketch.textSize(16);
-
-        // Labels for primary (orthogonal) axes
-        sketch.text(axis1_label[0], 0, -canvas_half_height + 20); // Time axis label (top)
-        sketch.text(axis1_label[1], canvas_half_width - 20, 0); // Space axis label (right)
-
-        // Labels for secondary (sheared) axes
-        sketch.fill(axis2_color); // Use the secondary axis color for its labels
-        let label_offset_from_origin = scaleFactor * 3.5; // Distance from origin for label placement
-
-        // x' or x axis label (secondary)
-        let x_sec_angle_for_label = sketch.atan(axis2_slope);
-        sketch.push();
-        sketch.translate(label_offset_from_origin * sketch.cos(x_sec_angle_for_label),
-            label_offset_from_origin * sketch.sin(x_sec_angle_for_label));
-        sketch.rotate(x_sec_angle_for_label); // Rotate text to align with the axis
-        if (activeFrame === 'stationary') {
-            sketch.text("x'", 0, 0);
-        } else {
-            sketch.text("x", 0, 0);
-        }
-        sketch.pop();
-
-        // ct' or ct axis label (secondary)
-        let ct_sec_angle_for_label;
-        if (current_v_for_drawing === 0) {
-            ct_sec_angle_for_label = 90; // Exactly vertical when v=0
-        } else {
-            ct_sec_angle_for_label = sketch.atan(axis1_slope);
-        }
-        sketch.push();
-        sketch.translate(label_offset_from_origin * sketch.cos(ct_sec_angle_for_label),
-            label_offset_from_origin * sketch.sin(ct_sec_angle_for_label));
-        sketch.rotate(ct_sec_angle_for_label); // Rotate text to align with the axis
-        if (activeFrame === 'stationary') {
-            sketch.text("ct'", 0, 0);
-        } else {
-            sketch.text("ct", 0, 0);
-        }
-        sketch.pop();
-
-        sketch.pop(); // End of transformed coordinates
-    };
-
-    sketch.mousePressed = function() {
-        if (sketch.mouseX >= 0 && sketch.mouseX <= sketch.width &&
-            sketch.mouseY >= 0 && sketch.mouseY <= sketch.height) {
-            
-            let unitScale = C_norm;
-            let x_coord_in_units = (sketch.mouseX - originX) / (scaleFactor * unitScale);
-            let ct_coord_in_units = -(sketch.mouseY - originY) / (scaleFactor * unitScale);
-    
-            events.push({
-                x: x_coord_in_units,
-                ct: ct_coord_in_units
-            });
-            sketch.redraw();
-            return false;
-        }
-    };
+    }
 };
 
-// Initialize p5.js sketch when the page loads
-s = new p5(sketch);
+// Initialize the twin paradox diagram
+twinP5 = new p5(twinSketch);
 
-// Event listener for velocity slider
-velocitySpacetimeInput.addEventListener('input', () => {
-    // Redraw the canvas to apply new velocity
-    s.redraw();
-    const v = parseFloat(velocitySpacetimeInput.value);
+// Event listener for twin paradox velocity slider
+twinVelocityInput.addEventListener('input', () => {
+    updateTwinParadox();
+    const v = parseFloat(twinVelocityInput.value);
     if (!globalVelocityInput.isGlobalUpdate) { // Prevent infinite loop
         updateAllVelocities(v);
     }
 });
 
-// Event listener for frame radio buttons
-frameRadios.forEach(radio => {
-    radio.addEventListener('change', (event) => {
-        activeFrame = event.target.value;
-        s.redraw(); // Request p5.js to redraw immediately
-    });
+twinDistanceInput.addEventListener('input', updateTwinParadox);
+
+twinSignalsToggle.addEventListener('change', () => {
+    twinSignalsPanel.classList.toggle('hidden', !twinSignalsToggle.checked);
+    twinP5.redraw();
 });
 
-// Clear Events button
-clearEventsBtn.addEventListener('click', () => {
-    events = []; // Clear the events array
-    s.redraw(); // Redraw the canvas
+playPauseTwinBtn.addEventListener('click', () => {
+    if (!Number.isFinite(twinTrip.earthTime)) return;
+    if (!isTwinPlaying && twinProgress >= 1) {
+        twinProgress = 0; // Start a finished trip over
+    }
+    setTwinPlaying(!isTwinPlaying);
 });
 
-// Initial update for spacetime diagram display
-velocitySpacetimeInput.dispatchEvent(new Event('input'));
+resetTwinBtn.addEventListener('click', () => {
+    twinProgress = 0;
+    setTwinPlaying(false);
+    twinP5.redraw();
+});
 
+// Initial update for twin paradox when page loads
+updateTwinParadox();
 
-// --- Relativistic Velocity Addition Logic ---
-const velocityV1Input = document.getElementById('velocity-v1');
-const velocityV1Display = document.getElementById('velocity-v1-display');
-const velocityV2Input = document.getElementById('velocity-v2');
-const velocityV2Display = document.getElementById('velocity-v2-display');
-const resultantVelocityDisplay = document.getElementById('resultant-velocity-display');
 
-/**
- * Calculates the relativistic velocity addition.
- * @param {number} v1 Velocity of frame S' relative to S (as v/c).
- * @param {number} v2 Velocity of object A relative to S' (as v/c).
- * @returns {number} Velocity of object A relative to S (as v/c).
- */
-function calculateRelativisticVelocityAddition(v1, v2) {
-    // In c-units, c^2 = 1.
-    const sum = v1 + v2;
-    const denominator = 1 + (v1 * v2);
-    // Ensure denominator isn't zero or too close to zero to prevent Infinity/NaN
-    if (Math.abs(denominator) < 1e-9) {
-        return Math.sign(sum) * C; // Approaching light speed
-    }
-    return sum / denominator;
+// --- Relativistic Rocket Planner Logic ---
+const rocketDistanceInput = document.getElementById('rocket-distance');
+const rocketDistanceDisplay = document.getElementById('rocket-distance-display');
+const rocketAccelerationInput = document.getElementById('rocket-acceleration');
+const rocketAccelerationDisplay = document.getElementById('rocket-acceleration-display');
+const rocketProfileRadios = document.querySelectorAll('input[name="rocket-profile"]');
+const rocketCruiseVelocityInput = document.getElementById('rocket-cruise-velocity');
+const rocketCruiseVelocityDisplay = document.getElementById('rocket-cruise-velocity-display');
+const rocketExhaustVelocityInput = document.getElementById('rocket-exhaust-velocity');
+const rocketExhaustVelocityDisplay = document.getElementById('rocket-exhaust-velocity-display');
+const rocketShipTimeDisplay = document.getElementById('rocket-ship-time-display');
+const rocketEarthTimeDisplay = document.getElementById('rocket-earth-time-display');
+const rocketPeakVelocityDisplay = document.getElementById('rocket-peak-velocity-display');
+const rocketPeakGammaDisplay = document.getElementById('rocket-peak-gamma-display');
+const rocketMassRatioDisplay = document.getElementById('rocket-mass-ratio-display');
+const rocketTimeAxisRadios = document.querySelectorAll('input[name="rocket-time-axis"]');
+const rocketCanvasContainer = document.getElementById('rocket-canvas-container');
+
+const rocketPlotSamples = 200; // Points per curve on the speed/rapidity plot
+let rocketTrip; // Current plan from calculateRocketTrip
+let rocketP5; // p5.js instance for the speed/rapidity plot
+
+function getCheckedValue(radios) {
+    return Array.from(radios).find(radio => radio.checked).value;
 }
 
-function updateVelocityAddition() {
-    const v1 = parseFloat(velocityV1Input.value);
-    const v2 = parseFloat(velocityV2Input.value);
-    const vTotal = calculateRelativisticVelocityAddition(v1, v2);
+function formatDuration(years) {
+    return isSIUnits ? `${(years * YEAR_SI).toExponential(2)} s` : formatYears(years);
+}
+
+function updateRocketPlanner() {
+    const distance = parseFloat(rocketDistanceInput.value);
+    const accelerationG = parseFloat(rocketAccelerationInput.value);
+    const profile = getCheckedValue(rocketProfileRadios);
+    const cruiseV = parseFloat(rocketCruiseVelocityInput.value);
+    const exhaustV = parseFloat(rocketExhaustVelocityInput.value);
+
+    rocketTrip = calculateRocketTrip(distance, accelerationG, profile, cruiseV, exhaustV);
+    rocketCruiseVelocityInput.disabled = profile === 'flip';
+
+    rocketDistanceDisplay.textContent = isSIUnits ? `${(distance * LIGHT_YEAR_SI).toExponential(2)} m` : `${distance.toFixed(2)} ly`;
+    rocketAccelerationDisplay.textContent = isSIUnits ? `${(accelerationG * G_SI).toFixed(1)} m/s²` : `${accelerationG.toFixed(1)} g`;
+    rocketCruiseVelocityDisplay.textContent = isSIUnits ? `${(cruiseV * C_SI).toExponential(2)} m/s` : `${cruiseV.toFixed(3)}c`;
+    rocketExhaustVelocityDisplay.textContent = isSIUnits ? `${(exhaustV * C_SI).toExponential(2)} m/s` : `${exhaustV.toFixed(3)}c`;
+
+    // Peak speeds can get very close to c, so show extra digits there
+    const peakV = rocketTrip.peakSpeed;
+    rocketShipTimeDisplay.textContent = formatDuration(rocketTrip.shipTime);
+    rocketEarthTimeDisplay.textContent = formatDuration(rocketTrip.earthTime);
+    rocketPeakVelocityDisplay.textContent = isSIUnits ? `${(peakV * C_SI).toExponential(2)} m/s` : `${peakV.toFixed(peakV > 0.999 ? 6 : 3)}c`;
+    rocketPeakGammaDisplay.textContent = rocketTrip.peakGamma.toFixed(2);
+    if (!Number.isFinite(rocketTrip.massRatio)) {
+        rocketMassRatioDisplay.textContent = 'more than 1e308 (beyond any fuel supply)';
+    } else {
+        rocketMassRatioDisplay.textContent = rocketTrip.massRatio < 1e6
+            ? rocketTrip.massRatio.toFixed(2)
+            : rocketTrip.massRatio.toExponential(2);
+    }
 
-    velocityV1Display.textContent = isSIUnits
-        ? `${(v1 * C_SI).toExponential(2)} m/s`
-        : `${v1.toFixed(3)}c`;
-    velocityV2Display.textContent = isSIUnits
-        ? `${(v2 * C_SI).toExponential(2)} m/s`
-        : `${v2.toFixed(3)}c`;
-    resultantVelocityDisplay.textContent = isSIUnits
-        ? `${(vTotal * C_SI).toExponential(2)} m/s`
-        : `${vTotal.toFixed(3)}c`;
+    if (rocketP5) rocketP5.redraw();
 }
 
-// Event listeners for velocity addition sliders
-velocityV1Input.addEventListener('input', updateVelocityAddition);
-velocityV2Input.addEventListener('input', updateVelocityAddition);
+/**
+ * The p5.js sketch plotting the rocket's speed and rapidity against ship or Earth time.
+ * @param {p5} sketch The p5.js instance.
+ */
+const rocketSketch = function (sketch) {
+    const margin = { left: 50, right: 50, top: 20, bottom: 40 };
 
-// Initial update for velocity addition when page loads
-updateVelocityAddition();
+    sketch.setup = function () {
+        sketch.pixelDensity(1);
+        const canvas = sketch.createCanvas(rocketCanvasContainer.offsetWidth, rocketCanvasContainer.offsetHeight);
+        canvas.parent('rocket-canvas-container');
+        sketch.windowResized = () => {
+            sketch.resizeCanvas(rocketCanvasContainer.offsetWidth, rocketCanvasContainer.offsetHeight);
+            sketch.redraw();
+        };
+        sketch.noLoop(); // Redraw only when the plan changes
+    };
 
+    sketch.draw = function () {
+        sketch.background(40, 40, 60);
+
+        const trip = rocketTrip;
+        const useShipTime = getCheckedValue(rocketTimeAxisRadios) === 'ship';
+        const totalTime = useShipTime ? trip.shipTime : trip.earthTime;
+        const maxRapidity = Math.max(trip.peakRapidity, 0.1) * 1.1;
+        const plotWidth = sketch.width - margin.left - margin.right;
+        const plotHeight = sketch.height - margin.top - margin.bottom;
+
+        const toScreenX = t => margin.left + (t / totalTime) * plotWidth;
+        const toSpeedY = v => margin.top + (1 - v) * plotHeight;
+        const toRapidityY = eta => margin.top + (1 - eta / maxRapidity) * plotHeight;
+
+        // --- Light speed limit ---
+        sketch.stroke(255, 255, 0, 150);
+        sketch.strokeWeight(1);
+        sketch.line(margin.left, toSpeedY(1), margin.left + plotWidth, toSpeedY(1));
+
+        // --- Axes ---
+        sketch.stroke(200);
+        sketch.strokeWeight(1.5);
+        sketch.line(margin.left, margin.top, margin.left, margin.top + plotHeight);
+        sketch.line(margin.left + plotWidth, margin.top, margin.left + plotWidth, margin.top + plotHeight);
+        sketch.line(margin.left, margin.top + plotHeight, margin.left + plotWidth, margin.top + plotHeight);
 
-// --- Twin Paradox Logic (Conceptual) ---
-const twinVelocityInput = document.getElementById('twin-velocity');
-const twinVelocityDisplay = document.getElementById('twin-velocity-display');
-const earthTimeDisplay = document.getElementById('earth-time-display');
-const travelingTwinTimeDisplay = document.getElementById('traveling-twin-time-display');
+        sketch.textSize(10);
+        sketch.noStroke();
 
-const earthBasedTotalTime = 10; // Fixed 10 years for Earth-based time
+        // Time ticks (years, or seconds in SI units)
+        const timeFactor = isSIUnits ? YEAR_SI : 1;
+        const timeStep = niceTickStep(totalTime * timeFactor, 6);
+        sketch.fill(200);
+        sketch.textAlign(sketch.CENTER, sketch.TOP);
+        for (let i = 0; i * timeStep <= totalTime * timeFactor + 1e-9; i++) {
+            const tick = i * timeStep;
+            const label = isSIUnits ? tick.toExponential(1) : formatTick(tick, timeStep);
+            sketch.text(label, toScreenX(tick / timeFactor), margin.top + plotHeight + 4);
+        }
+        sketch.text(
+            `${useShipTime ? 'Ship' : 'Earth'} time (${isSIUnits ? 's' : 'years'})`,
+            margin.left + plotWidth / 2,
+            margin.top + plotHeight + 20
+        );
 
-function updateTwinParadox() {
-    const v_twin = parseFloat(twinVelocityInput.value);
-    const gamma_twin = calculateLorentzFactor(v_twin);
+        // Speed ticks (left) and rapidity ticks (right)
+        sketch.textAlign(sketch.RIGHT, sketch.CENTER);
+        sketch.fill(100, 150, 255);
+        for (let v = 0; v <= 1 + 1e-9; v += 0.25) {
+            sketch.text(v.toFixed(2), margin.left - 6, toSpeedY(v));
+        }
+        const rapidityStep = niceTickStep(maxRapidity, 5);
+        sketch.textAlign(sketch.LEFT, sketch.CENTER);
+        sketch.fill(255, 165, 0);
+        for (let i = 0; i * rapidityStep <= maxRapidity; i++) {
+            const eta = i * rapidityStep;
+            sketch.text(formatTick(eta, rapidityStep), margin.left + plotWidth + 6, toRapidityY(eta));
+        }
 
-    // Earth-based time is the coordinate time (Delta t)
-    // Traveling twin's time is the proper time (Delta tau)
-    const travelingTwinTime = earthBasedTotalTime / gamma_twin;
+        // --- Speed and rapidity curves ---
+        const states = [];
+        for (let i = 0; i <= rocketPlotSamples; i++) {
+            states.push(calculateRocketStateAt(trip, (i / rocketPlotSamples) * trip.shipTime));
+        }
+        const timeOf = state => (useShipTime ? state.properTime : state.time);
 
-    twinVelocityDisplay.textContent = isSIUnits ? `${(v_twin * C_SI).toExponential(2)} m/s` : `${v_twin.toFixed(3)}c`;
-    earthTimeDisplay.textContent = `${earthBasedTotalTime.toFixed(2)} years`;
-    travelingTwinTimeDisplay.textContent = `${travelingTwinTime.toFixed(2)} years`;
-}
+        sketch.noFill();
+        sketch.strokeWeight(2.5);
+        sketch.stroke(100, 150, 255); // Blue: speed
+        sketch.beginShape();
+        states.forEach(state => sketch.vertex(toScreenX(timeOf(state)), toSpeedY(state.v)));
+        sketch.endShape();
 
-// Event listener for twin paradox velocity slider
-twinVelocityInput.addEventListener('input', () => {
-    updateTwinParadox();
-    const v = parseFloat(twinVelocityInput.value);
-    if (!globalVelocityInput.isGlobalUpdate) { // Prevent infinite loop
-        updateAllVelocities(v);
-    }
+        sketch.stroke(255, 165, 0); // Orange: rapidity
+        sketch.beginShape();
+        states.forEach(state => sketch.vertex(toScreenX(timeOf(state)), toRapidityY(state.rapidity)));
+        sketch.endShape();
+
+        sketch.noStroke();
+        sketch.fill(255, 255, 0);
+        sketch.textAlign(sketch.LEFT, sketch.BOTTOM);
+        sketch.text('c', margin.left + 4, toSpeedY(1) - 2);
+    };
+};
+
+// Initialize the rocket plot
+rocketP5 = new p5(rocketSketch);
+
+[rocketDistanceInput, rocketAccelerationInput, rocketCruiseVelocityInput, rocketExhaustVelocityInput].forEach(input => {
+    input.addEventListener('input', updateRocketPlanner);
 });
+rocketProfileRadios.forEach(radio => radio.addEventListener('change', updateRocketPlanner));
+rocketTimeAxisRadios.forEach(radio => radio.addEventListener('change', () => rocketP5.redraw()));
 
-// Initial update for twin paradox when page loads
-updateTwinParadox();
+// Initial update for the rocket planner when page loads
+updateRocketPlanner();
 
 
 // --- Initial Global Update ---
@@ -929,7 +4496,8 @@ document.querySelectorAll('input[type="range"]').forEach(slider => {
 });
 
 // 3D Plot Variables
-let scene, camera, renderer, cube, controls;
+let scene, camera, renderer, cube, controls, motionArrow;
+let cubeSpin, cubeContraction; // Rotation in the cube's rest frame, squash seen from the lab
 
 function init3DPlot() {
     try {
@@ -964,8 +4532,15 @@ function init3DPlot() {
             opacity: 0.8
         });
         cube = new THREE.Mesh(geometry, material);
+        // The squash is along a fixed lab direction, so the matrix is built by hand: spin, then contract
+        cube.matrixAutoUpdate = false;
+        cubeSpin = new THREE.Euler();
+        cubeContraction = new THREE.Matrix4();
         scene.add(cube);
 
+        motionArrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 0, 0), 1.6, 0xfbbf24);
+        scene.add(motionArrow);
+
         // 5. Controls
         controls = new THREE.OrbitControls(camera, renderer.domElement);
         controls.enableDamping = true;
@@ -993,8 +4568,9 @@ function animate() {
 
     if (controls) controls.update();
     if (cube) {
-        cube.rotation.x += 0.005;
-        cube.rotation.y += 0.007;
+        cubeSpin.x += 0.005;
+        cubeSpin.y += 0.007;
+        cube.matrix.makeRotationFromEuler(cubeSpin).premultiply(cubeContraction);
     }
     if (renderer && scene && camera) {
         renderer.render(scene, camera);
@@ -1004,21 +4580,52 @@ function animate() {
 // Add these variables
 let length3DVelocityInput = document.getElementById('length-3d-velocity');
 let length3DVelocityDisplay = document.getElementById('length-3d-velocity-display');
+const length3DAzimuthInput = document.getElementById('length-3d-azimuth');
+const length3DAzimuthDisplay = document.getElementById('length-3d-azimuth-display');
+const length3DElevationInput = document.getElementById('length-3d-elevation');
+const length3DElevationDisplay = document.getElementById('length-3d-elevation-display');
+const length3DFactorDisplay = document.getElementById('length-3d-factor-display');
+
+// Unit direction of the cube's motion in scene coordinates: x right, y up, z out of the screen
+function readMotionDirection() {
+    const azimuth = parseFloat(length3DAzimuthInput.value) * Math.PI / 180;
+    const elevation = parseFloat(length3DElevationInput.value) * Math.PI / 180;
+    return {
+        x: Math.cos(elevation) * Math.cos(azimuth),
+        y: Math.cos(elevation) * Math.sin(azimuth),
+        z: Math.sin(elevation),
+    };
+}
 
-// Update the cube scaling based on the dedicated slider
+// Update the cube scaling based on the dedicated slider and direction
 function update3DLengthContraction(v) {
+    const gamma = calculateLorentzFactor(Math.abs(v));
+    length3DAzimuthDisplay.textContent = `${length3DAzimuthInput.value}°`;
+    length3DElevationDisplay.textContent = `${length3DElevationInput.value}°`;
+    length3DFactorDisplay.textContent = (1 / gamma).toFixed(3);
+
     // Check if cube exists
     if (!cube) {
         console.error("Cube not initialized yet!");
         return;
     }
 
-    const gamma = calculateLorentzFactor(Math.abs(v));
-
     try {
-        cube.scale.x = 1 / gamma; // Contract along motion axis
-        cube.scale.y = 1;         // No change perpendicular
-        cube.scale.z = 1;         // No change perpendicular
+        const direction = readMotionDirection();
+        const [rowX, rowY, rowZ] = calculateContractionMatrix({
+            x: direction.x * v,
+            y: direction.y * v,
+            z: direction.z * v,
+        });
+        cubeContraction.set(
+            ...rowX, 0,
+            ...rowY, 0,
+            ...rowZ, 0,
+            0, 0, 0, 1
+        );
+        const arrowSign = v < 0 ? -1 : 1;
+        motionArrow.setDirection(new THREE.Vector3(direction.x, direction.y, direction.z).multiplyScalar(arrowSign));
+        motionArrow.visible = v !== 0;
 
         // Visual effects
         cube.material.opacity = 0.5 + 0.5 / gamma;
@@ -1109,28 +4716,6 @@ function initDoppler3D() {
     animateDoppler();
 }
 
-function animateDoppler() {
-    requestAnimationFrame(animateDoppler);
-    if (dopplerControls) dopplerControls.update();
-    // if (lightSphere) {
-    //     const pulse = 1 + Math.sin(Date.now() * 0.001) * 0.02;
-    //     lightSphere.scale.set(pulse, pulse, pulse);
-    // }
-    if (dopplerRenderer && dopplerScene && dopplerCamera) {
-        dopplerRenderer.render(dopplerScene, dopplerCamera);
-    }
-}
-
-// Lighting function
-function addEnhancedLighting(scene) {
-    const ambientLight = new THREE.AmbientLight(0x404040);
-    scene.add(ambientLight);
-
-    const directionalLight = new THREE.DirectionalLight(0xffffff, 1);
-    directionalLight.position.set(1, 1, 1);
-    scene.add(directionalLight);
-}
-
 // Initialize on load
 document.addEventListener('DOMContentLoaded', () => {
     init3DPlot();
@@ -1138,6 +4723,9 @@ document.addEventListener('DOMContentLoaded', () => {
     update3DLengthContraction(0);
     updateDopplerEffect(0);
 
+    // Restore the state shared through the URL hash, now that every section (the 3D plot too) is initialized
+    applyAppLinkState(decodeAppHash(window.location.hash));
+
     // if (isWebGLAvailable()) {
     //     initDoppler3D();
     //     updateDopplerEffect(0);
@@ -1157,46 +4745,6 @@ function updateDopplerSize() {
     dopplerRenderer.setSize(width, height);
 }
 
-function updateDopplerEffect(v) {
-    if (!lightSphere) return;
-
-    const dopplerFactor = Math.sqrt((1 + v) / (1 - v));
-    const absV = Math.abs(v);
-
-    // ONLY update color and brightness - no size change!
-    if (v > 0) { // Approaching (blueshift)
-        const hue = 0.6; // Blue
-        lightSphere.material.color.setHSL(hue, 1, 0.5);
-        lightSphere.material.emissive.setHSL(hue, 0.7, 0.3);
-        lightSphere.material.emissiveIntensity = absV * 0.5;
-    }
-    else if (v < 0) { // Receding (redshift)
-        const hue = 0; // Red
-        lightSphere.material.color.setHSL(hue, 1, 0.5);
-        lightSphere.material.emissive.setHSL(hue, 0.3, 0.2);
-        lightSphere.material.emissiveIntensity = absV * 0.3;
-    }
-    else { // Stationary
-        lightSphere.material.color.setHSL(0, 0, 1); // White
-        lightSphere.material.emissiveIntensity = 0;
-    }
-
-    // Update numerical display only
-    dopplerVelocityDisplay.textContent = isSIUnits
-        ? `${(v * C_SI).toExponential(2)} m/s`
-        : `${v.toFixed(3)}c`;
-}
-
-function updateDopplerSize() {
-    const container = document.getElementById('doppler-3d-container');
-    const width = container.clientWidth;
-    const height = container.clientHeight;
-
-    dopplerCamera.aspect = width / height;
-    dopplerCamera.updateProjectionMatrix();
-    dopplerRenderer.setSize(width, height);
-}
-
 function updateDopplerRendererSize() {
     const container = document.getElementById('doppler-3d-container');
     dopplerRenderer.setSize(container.clientWidth, container.clientHeight);
@@ -1213,7 +4761,7 @@ function animateDoppler() {
 function updateDopplerEffect(v) {
     if (!lightSphere) return;
 
-    const dopplerFactor = Math.sqrt((1 + v) / (1 - v));
+    const dopplerFactor = calculateDopplerFactor(v);
     const absV = Math.abs(v);
 
     // Create color gradient based on velocity
@@ -1272,6 +4820,10 @@ length3DVelocityInput.addEventListener('input', () => {
     }
 });
 
+[length3DAzimuthInput, length3DElevationInput].forEach(input => {
+    input.addEventListener('input', () => update3DLengthContraction(parseFloat(length3DVelocityInput.value)));
+});
+
 const sphereMaterial = new THREE.MeshStandardMaterial({
     color: 0xffffff,
     roughness: 0.1,
@@ -1339,3 +4891,5 @@ const throttle = (fn, delay) => {
     };
 };
 
+// Follow links edited in the address bar; the page's own link is restored once the 3D plot exists
+window.addEventListener('hashchange', () => applyAppLinkState(decodeAppHash(window.location.hash)));
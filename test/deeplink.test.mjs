@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeAppHash, decodeAppHash } from '../deeplink.mjs';
+
+const sampleState = {
+    velocity: 0.6,
+    units: 'SI',
+    formulas: true,
+    sliders: { 'twin-distance': 4, 'rocket-acceleration': 1.5 },
+    choices: { 'rocket-profile': 'flip' },
+    viewFrame: 'frame-3',
+    frames: [{ velocity: -0.5, color: '#f6ad55', name: 'Probe, outbound' }],
+    events: [
+        { ct: 0, x: 0, color: '#ff00ff', label: 'Launch & go' },
+        { ct: 1.23456789, x: -0.5, color: '#00ff00', label: 'E2' },
+    ],
+};
+
+test('encodeAppHash and decodeAppHash round-trip the page state', () => {
+    const state = decodeAppHash(`#${encodeAppHash(sampleState)}`);
+    assert.equal(state.velocity, 0.6);
+    assert.equal(state.units, 'SI');
+    assert.equal(state.formulas, true);
+    assert.deepEqual(state.sliders, sampleState.sliders);
+    assert.deepEqual(state.choices, sampleState.choices);
+    assert.equal(state.viewFrame, 'frame-3');
+    assert.deepEqual(state.frames, [{ id: 'frame-3', velocity: -0.5, color: '#f6ad55', name: 'Probe, outbound' }]);
+    assert.deepEqual(state.events[0], { ct: 0, x: 0, color: '#ff00ff', label: 'Launch & go' });
+    // Coordinates are rounded to four decimals to keep links short
+    assert.equal(state.events[1].ct, 1.2346);
+});
+
+test('encodeAppHash leaves out toggles that are off', () => {
+    const hash = encodeAppHash({ ...sampleState, units: 'natural', formulas: false });
+    assert.ok(!hash.includes('units='));
+    assert.ok(!hash.includes('formulas='));
+});
+
+test('decodeAppHash returns only what the hash specifies', () => {
+    const state = decodeAppHash('v=0.25');
+    assert.equal(state.velocity, 0.25);
+    assert.equal(state.units, undefined);
+    assert.equal(state.formulas, undefined);
+    assert.equal(state.events, undefined);
+    assert.deepEqual(decodeAppHash(''), { sliders: {}, choices: {} });
+});
+
+test('decodeAppHash skips entries it cannot read', () => {
+    const state = decodeAppHash('v=1.5&frame=frame-7&e=1,2,ff00ff,ok&e=x,2,ff00ff,bad&e=1,2,red,bad&f=2,ffffff,fast&Bad_Key=3');
+    assert.equal(state.velocity, undefined);
+    assert.equal(state.viewFrame, 'stationary');
+    assert.deepEqual(state.frames, []);
+    assert.deepEqual(state.events.map(event => event.label), ['ok']);
+    assert.deepEqual(state.sliders, {});
+});
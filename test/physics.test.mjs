@@ -0,0 +1,626 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    C_SI,
+    calculateLorentzFactor,
+    lorentzTransform,
+    inverseLorentzTransform,
+    calculateRelativisticVelocityAddition,
+    calculateVectorVelocityAddition,
+    calculateRapidity,
+    calculateBoostChain,
+    calculateWignerRotation,
+    calculateDopplerFactor,
+    calculateProperTime,
+    calculateTimeDilationOffset,
+    calculateEnergyMomentum,
+    calculateTwinParadox,
+    calculateTwinSignals,
+    calculateRocketTrip,
+    calculateRocketStateAt,
+    calculateSpacetimeInterval,
+    classifyEventSeparation,
+    calculateWorldline,
+    calculateCausalRelation,
+    calculateContractedLength,
+    calculateLadderParadox,
+    calculateMuonDecay,
+    sampleDecayLifetimes,
+    calculateFourMomentum,
+    calculateInvariantMass,
+    transformFourMomentum,
+    calculateCollisionKinematics,
+    calculateTwoBodyDecay,
+    calculateThresholdEnergy,
+    createFourVector,
+    calculateMinkowskiProduct,
+    calculateFourVelocity,
+    createBoost,
+    createBoostFromRapidity,
+    boostFourVector,
+    applyLorentzTransformation,
+    composeLorentzTransformations,
+    invertLorentzTransformation,
+    decomposeLorentzTransformation,
+    calculateContractionMatrix,
+} from '../physics.mjs';
+
+const EPSILON = 1e-9;
+
+function assertClose(actual, expected, epsilon = EPSILON) {
+    assert.ok(
+        Math.abs(actual - expected) <= epsilon * Math.max(1, Math.abs(expected)),
+        `expected ${actual} to be within ${epsilon} of ${expected}`
+    );
+}
+
+test('Lorentz factor matches known values', () => {
+    assert.equal(calculateLorentzFactor(0), 1);
+    assertClose(calculateLorentzFactor(0.6), 1.25);
+    assertClose(calculateLorentzFactor(0.8), 5 / 3);
+    assertClose(calculateLorentzFactor(-0.8), 5 / 3);
+    assertClose(calculateLorentzFactor('0.6'), 1.25);
+});
+
+test('Lorentz factor is infinite at and beyond light speed', () => {
+    assert.equal(calculateLorentzFactor(1), Infinity);
+    assert.equal(calculateLorentzFactor(-1.5), Infinity);
+});
+
+test('Lorentz transform maps known events', () => {
+    // Observer's own worldline x = vt lands on x' = 0 with t' = t / gamma
+    const onWorldline = lorentzTransform(5, 3, 0.6);
+    assertClose(onWorldline.xPrime, 0);
+    assertClose(onWorldline.tPrime, 4);
+
+    // Light-like events stay light-like: ct' = x'
+    const lightRay = lorentzTransform(2, 2, 0.6);
+    assertClose(lightRay.tPrime, lightRay.xPrime);
+    assertClose(lightRay.tPrime, 1);
+});
+
+test('Lorentz transform honors SI units', () => {
+    const { tPrime, xPrime } = lorentzTransform(1, 0.6 * C_SI, 0.6, C_SI);
+    assertClose(xPrime, 0);
+    assertClose(tPrime, 0.8);
+});
+
+test('inverse transform undoes the forward transform', () => {
+    for (const v of [-0.95, -0.3, 0, 0.5, 0.999]) {
+        for (const [t, x] of [[0, 0], [1, 2], [-3.5, 0.25], [10, -7]]) {
+            const { tPrime, xPrime } = lorentzTransform(t, x, v);
+            const back = inverseLorentzTransform(tPrime, xPrime, v);
+            assertClose(back.t, t, 1e-9);
+            assertClose(back.x, x, 1e-9);
+        }
+    }
+});
+
+test('spacetime interval is invariant under transforms', () => {
+    const t = 3;
+    const x = -1.7;
+    const { tPrime, xPrime } = lorentzTransform(t, x, 0.73);
+    assertClose(tPrime ** 2 - xPrime ** 2, t ** 2 - x ** 2);
+});
+
+test('relativistic velocity addition matches known values and stays below c', () => {
+    assertClose(calculateRelativisticVelocityAddition(0.5, 0.5), 0.8);
+    assertClose(calculateRelativisticVelocityAddition(0.5, -0.5), 0);
+    assertClose(calculateRelativisticVelocityAddition(0.9, 0.9), 1.8 / 1.81);
+    assert.equal(calculateRelativisticVelocityAddition(1, 0.5), 1);
+    assert.ok(calculateRelativisticVelocityAddition(0.999, 0.999) < 1);
+});
+
+test('velocity addition agrees with composing transforms', () => {
+    const v1 = 0.4;
+    const v2 = 0.7;
+    const first = lorentzTransform(2, 1, v1);
+    const composed = lorentzTransform(first.tPrime, first.xPrime, v2);
+    const direct = lorentzTransform(2, 1, calculateRelativisticVelocityAddition(v1, v2));
+    assertClose(composed.tPrime, direct.tPrime);
+    assertClose(composed.xPrime, direct.xPrime);
+});
+
+test('Doppler factor is symmetric between approach and recession', () => {
+    assert.equal(calculateDopplerFactor(0), 1);
+    assertClose(calculateDopplerFactor(0.6), 2);
+    assertClose(calculateDopplerFactor(-0.6), 0.5);
+    assertClose(calculateDopplerFactor(0.3) * calculateDopplerFactor(-0.3), 1);
+});
+
+test('proper time is coordinate time divided by gamma', () => {
+    assertClose(calculateProperTime(10, 0.8), 6);
+    assert.equal(calculateProperTime(10, 0), 10);
+});
+
+test('twin paradox round trip matches the textbook 0.8c example', () => {
+    const trip = calculateTwinParadox(4, 0.8);
+    assertClose(trip.earthTime, 10);
+    assertClose(trip.travelerTime, 6);
+    assertClose(trip.turnaroundTime, 5);
+    assertClose(trip.earthTimeSeenBeforeTurnaround, 1.8);
+    assertClose(trip.earthTimeSeenAfterTurnaround, 8.2);
+    assertClose(trip.simultaneityJump, 6.4);
+});
+
+test('twin paradox accounts for every Earth year via the simultaneity jump', () => {
+    const trip = calculateTwinParadox(3, -0.6);
+    // On each leg the traveler sees Earth's clock run slow by gamma; the jump covers the rest.
+    const seenDuringLegs = 2 * (trip.travelerTime / 2) / trip.gamma;
+    assertClose(seenDuringLegs + trip.simultaneityJump, trip.earthTime);
+});
+
+test('twin paradox trip never ends when the traveler does not move', () => {
+    const trip = calculateTwinParadox(4, 0);
+    assert.equal(trip.earthTime, Infinity);
+    assert.equal(trip.simultaneityJump, 0);
+});
+
+test('twin light signals reproduce the k-calculus counts at 0.8c', () => {
+    const signals = calculateTwinSignals(4, 0.8);
+    assert.deepEqual(signals.travelerReceived, { outbound: 1, return: 9 });
+    assert.deepEqual(signals.earthReceived, { outbound: 3, return: 3 });
+    assertClose(signals.dopplerOutbound, 1 / 3);
+    assertClose(signals.dopplerReturn, 3);
+});
+
+test('twin light signals travel at light speed and arrive on time', () => {
+    const distance = 6;
+    const signals = calculateTwinSignals(distance, 0.6);
+    const trip = calculateTwinParadox(distance, 0.6);
+    for (const pulse of signals.earthSignals) {
+        assertClose(pulse.receiveX, pulse.receiveTime - pulse.emitTime);
+        assert.ok(pulse.receiveTime <= trip.earthTime + 1e-9);
+    }
+    for (const pulse of signals.travelerSignals) {
+        assertClose(pulse.receiveTime - pulse.emitTime, pulse.emitX);
+    }
+    // The last pulses are sent at the reunion and arrive instantly
+    assertClose(signals.earthSignals.at(-1).receiveTime, trip.earthTime);
+    assertClose(signals.travelerSignals.at(-1).receiveTime, trip.earthTime);
+});
+
+test('twin light signals are empty when the traveler never leaves', () => {
+    const signals = calculateTwinSignals(4, 0);
+    assert.equal(signals.earthSignals.length, 0);
+    assert.equal(signals.travelerSignals.length, 0);
+});
+
+test('flip-and-burn at 1 g to Alpha Centauri matches published figures', () => {
+    // 4.3 light-years at 1 g: 3.6 years on board, 5.9 years on Earth
+    const trip = calculateRocketTrip(4.3, 1, 'flip', 0, 1);
+    assertClose(trip.shipTime, 3.56, 0.01);
+    assertClose(trip.earthTime, 5.93, 0.01);
+    assertClose(trip.peakSpeed, 0.951, 0.01);
+    assertClose(trip.peakGamma, Math.cosh(trip.peakRapidity));
+    // Photon rocket: m0/m1 = exp(2 * peak rapidity)
+    assertClose(trip.massRatio, Math.exp(2 * trip.peakRapidity));
+});
+
+test('coast profile cruises at the requested speed', () => {
+    const trip = calculateRocketTrip(20, 1, 'coast', 0.6, 0.5);
+    assertClose(trip.peakSpeed, 0.6);
+    assertClose(trip.peakGamma, 1.25);
+    assert.ok(trip.coastTime > 0);
+    assertClose(trip.coastProperTime, trip.coastTime / 1.25);
+    assertClose(trip.massRatio, Math.exp(2 * Math.atanh(0.6) / 0.5));
+});
+
+test('coast profile falls back to flip-and-burn when the cruise speed is out of reach', () => {
+    const coast = calculateRocketTrip(0.5, 1, 'coast', 0.99, 1);
+    const flip = calculateRocketTrip(0.5, 1, 'flip', 0, 1);
+    assertClose(coast.shipTime, flip.shipTime);
+    assertClose(coast.earthTime, flip.earthTime);
+    assertClose(coast.coastTime, 0);
+});
+
+test('rocket state starts and ends at rest and is continuous between phases', () => {
+    const trip = calculateRocketTrip(10, 2, 'coast', 0.8, 1);
+    const start = calculateRocketStateAt(trip, 0);
+    const end = calculateRocketStateAt(trip, trip.shipTime);
+    assertClose(start.x, 0);
+    assertClose(start.v, 0);
+    assertClose(end.x, 10);
+    assertClose(end.time, trip.earthTime);
+    assertClose(end.v, 0, 1e-6);
+
+    for (const boundary of [trip.burnProperTime, trip.burnProperTime + trip.coastProperTime]) {
+        const before = calculateRocketStateAt(trip, boundary - 1e-7);
+        const after = calculateRocketStateAt(trip, boundary + 1e-7);
+        assertClose(before.time, after.time, 1e-5);
+        assertClose(before.x, after.x, 1e-5);
+    }
+});
+
+test('gentle rocket trips approach Newtonian kinematics', () => {
+    const distance = 1e-4; // light-years
+    const trip = calculateRocketTrip(distance, 1, 'flip', 0, 1);
+    const newtonianTime = 2 * Math.sqrt(distance / trip.acceleration);
+    assertClose(trip.earthTime, newtonianTime, 1e-4);
+    assertClose(trip.shipTime, trip.earthTime, 1e-4);
+});
+
+test('spacetime interval is the same in every frame', () => {
+    const a = { ct: 0.5, x: -1 };
+    const b = { ct: 3, x: 2 };
+    const boost = event => {
+        const { tPrime, xPrime } = lorentzTransform(event.ct, event.x, -0.45);
+        return { ct: tPrime, x: xPrime };
+    };
+    assertClose(calculateSpacetimeInterval(boost(a), boost(b)), calculateSpacetimeInterval(a, b));
+});
+
+test('timelike pairs have a proper time and a frame where they share a place', () => {
+    const a = { ct: 0, x: 0 };
+    const b = { ct: 5, x: 3 };
+    const separation = classifyEventSeparation(a, b);
+    assert.equal(separation.type, 'timelike');
+    assertClose(separation.properTime, 4);
+    assert.equal(separation.isOrderFrameDependent, false);
+    assertClose(separation.colocationVelocity, 0.6);
+    assert.equal(separation.simultaneityVelocity, null);
+
+    const { tPrime, xPrime } = lorentzTransform(b.ct, b.x, separation.colocationVelocity);
+    assertClose(xPrime, 0);
+    assertClose(tPrime, separation.properTime);
+});
+
+test('spacelike pairs have a proper distance and a frame where they are simultaneous', () => {
+    const a = { ct: 1, x: 1 };
+    const b = { ct: 2, x: -1 };
+    const separation = classifyEventSeparation(a, b);
+    assert.equal(separation.type, 'spacelike');
+    assertClose(separation.properDistance, Math.sqrt(3));
+    assert.equal(separation.isOrderFrameDependent, true);
+    assertClose(separation.simultaneityVelocity, -0.5);
+
+    const boostedA = lorentzTransform(a.ct, a.x, separation.simultaneityVelocity);
+    const boostedB = lorentzTransform(b.ct, b.x, separation.simultaneityVelocity);
+    assertClose(boostedA.tPrime, boostedB.tPrime);
+    assertClose(Math.abs(boostedA.xPrime - boostedB.xPrime), separation.properDistance);
+});
+
+test('lightlike pairs are recognized', () => {
+    const separation = classifyEventSeparation({ ct: 1, x: 1 }, { ct: 3.5, x: -1.5 });
+    assert.equal(separation.type, 'lightlike');
+    assert.equal(separation.properTime, null);
+    assert.equal(separation.properDistance, null);
+    assert.equal(separation.isOrderFrameDependent, false);
+});
+
+test('a constant-velocity worldline is a straight line through its start', () => {
+    const points = calculateWorldline(1, 0.5, [], -2, 4);
+    assert.equal(points.length, 3);
+    assert.deepEqual(points.map(p => p.ct), [-2, 0, 4]);
+    assertClose(points[0].x, 0);
+    assertClose(points[1].x, 1);
+    assertClose(points[2].x, 3);
+});
+
+test('worldline velocity changes join into one continuous path', () => {
+    const points = calculateWorldline(0, 0.5, [{ ct: 2, velocity: -0.25 }, { ct: -1, velocity: 0.8 }], -3, 6);
+    assert.deepEqual(points.map(p => p.ct), [-3, -1, 0, 2, 6]);
+    assertClose(points[0].x, -1.8); // 0.5c before ct = -1, 0.8c from there to ct = 2
+    assertClose(points[1].x, -0.8);
+    assertClose(points[2].x, 0);
+    assertClose(points[3].x, 1.6);
+    assertClose(points[4].x, 0.6);
+});
+
+test('worldline range need not contain ct = 0', () => {
+    const points = calculateWorldline(2, -0.5, [], 4, 6);
+    assert.deepEqual(points, [{ ct: 4, x: 0 }, { ct: 6, x: -1 }]);
+});
+
+test('boosted worldline slopes follow relativistic velocity addition', () => {
+    const u = 0.6;
+    const v = 0.7;
+    const [start, end] = calculateWorldline(0.3, u, [], -1, 1);
+    const a = lorentzTransform(start.ct, start.x, v);
+    const b = lorentzTransform(end.ct, end.x, v);
+    assertClose((b.xPrime - a.xPrime) / (b.tPrime - a.tPrime), calculateRelativisticVelocityAddition(u, -v));
+});
+
+test('causal relation places events inside, on and outside a light cone', () => {
+    const source = { ct: 1, x: 2 };
+    assert.equal(calculateCausalRelation(source, { ct: 4, x: 3 }), 'timelike-future');
+    assert.equal(calculateCausalRelation(source, { ct: -2, x: 2.5 }), 'timelike-past');
+    assert.equal(calculateCausalRelation(source, { ct: 3, x: 0 }), 'lightlike-future');
+    assert.equal(calculateCausalRelation(source, { ct: 0, x: 3 }), 'lightlike-past');
+    assert.equal(calculateCausalRelation(source, { ct: 1.5, x: -1 }), 'spacelike');
+    assert.equal(calculateCausalRelation(source, { ct: 1, x: 2 }), 'coincident');
+});
+
+test('causal relation does not depend on the frame', () => {
+    const source = { ct: 0.5, x: -1 };
+    const targets = [{ ct: 3, x: 0 }, { ct: 2, x: 2 }, { ct: -4, x: 1 }];
+    const boost = event => {
+        const { tPrime, xPrime } = lorentzTransform(event.ct, event.x, 0.9);
+        return { ct: tPrime, x: xPrime };
+    };
+    for (const target of targets) {
+        assert.equal(calculateCausalRelation(boost(source), boost(target)), calculateCausalRelation(source, target));
+    }
+});
+
+test('contracted length shrinks by the Lorentz factor', () => {
+    assertClose(calculateContractedLength(10, 0.6), 8);
+    assertClose(calculateContractedLength(10, -0.6), 8);
+    assert.equal(calculateContractedLength(10, 0), 10);
+});
+
+test('ladder paradox: the pole fits in the barn frame but not in its own', () => {
+    const ladder = calculateLadderParadox(10, 8, 0.8); // gamma = 5/3
+    assertClose(ladder.poleLengthInBarnFrame, 6);
+    assertClose(ladder.barnLengthInPoleFrame, 4.8);
+    assert.equal(ladder.fitsInBarnFrame, true);
+    assert.equal(ladder.fitsInPoleFrame, false);
+    assertClose(ladder.poleRearAtStart, 1);
+    assertClose(ladder.poleFrontAtStart, 7);
+    // Simultaneous in the barn frame; in the pole frame the exit shuts gamma v L_barn earlier
+    assert.equal(ladder.entranceClosing.barn.ct, ladder.exitClosing.barn.ct);
+    assertClose(ladder.entranceClosing.pole.ct, 0);
+    assertClose(ladder.exitClosing.pole.ct, -(5 / 3) * 0.8 * 8);
+    assertClose(ladder.exitClosing.pole.x, (5 / 3) * 8);
+});
+
+test('ladder paradox: a pole too long even when contracted is caught by the doors', () => {
+    const ladder = calculateLadderParadox(10, 5, 0.6); // Contracts to 8 > 5
+    assert.equal(ladder.fitsInBarnFrame, false);
+    assert.equal(ladder.fitsInPoleFrame, false);
+    assert.ok(ladder.poleRearAtStart < 0);
+});
+
+test('muon decay: time dilation and length contraction give the same survivors', () => {
+    const tau = 2.197e-6;
+    const muon = calculateMuonDecay(15000, 0.995, tau);
+    assertClose(muon.gamma, calculateLorentzFactor(0.995));
+    assertClose(muon.flightTime, 15000 / (0.995 * C_SI));
+    assertClose(muon.dilatedLifetime, muon.gamma * tau);
+    assertClose(muon.contractedAltitude, 15000 / muon.gamma);
+    assertClose(muon.properFlightTime, muon.flightTime / muon.gamma);
+    assertClose(muon.earthFrameSurvival, muon.muonFrameSurvival);
+    assertClose(muon.earthFrameSurvival, Math.exp(-muon.flightTime / (muon.gamma * tau)));
+    // Classically almost none would make it down
+    assert.ok(muon.classicalSurvival < 1e-9);
+    assert.ok(muon.earthFrameSurvival > 0.05);
+});
+
+test('muon decay: the direction of flight does not matter', () => {
+    const down = calculateMuonDecay(10000, 0.98, 2.2e-6);
+    const up = calculateMuonDecay(10000, -0.98, 2.2e-6);
+    assert.equal(up.speed, 0.98);
+    assert.equal(up.muonFrameSurvival, down.muonFrameSurvival);
+});
+
+test('decay lifetimes follow the exponential distribution', () => {
+    const uniforms = [0, 0.5, 0.75];
+    let i = 0;
+    const lifetimes = sampleDecayLifetimes(3, 2, () => uniforms[i++]);
+    assert.equal(lifetimes.length, 3);
+    assertClose(lifetimes[0], 0);
+    assertClose(lifetimes[1], 2 * Math.LN2);
+    assertClose(lifetimes[2], 4 * Math.LN2);
+    const many = sampleDecayLifetimes(20000, 1);
+    const mean = many.reduce((sum, t) => sum + t, 0) / many.length;
+    assert.ok(Math.abs(mean - 1) < 0.05);
+});
+
+test('time dilation offset matches 1 - 1/gamma and stays accurate at low speed', () => {
+    assertClose(calculateTimeDilationOffset(0.6), 0.2);
+    assertClose(calculateTimeDilationOffset(-0.6), 0.2);
+    assert.equal(calculateTimeDilationOffset(0), 0);
+    // GPS orbital speed: the offset is v²/2 to well within the precision 1 - 1/gamma would give
+    const v = 3874 / C_SI;
+    assertClose(calculateTimeDilationOffset(v) / (v * v / 2), 1, 1e-9);
+});
+
+test('vector velocity addition reduces to the collinear formula', () => {
+    const w = calculateVectorVelocityAddition({ x: 0.5, y: 0, z: 0 }, { x: 0.5, y: 0, z: 0 });
+    assertClose(w.x, 0.8);
+    assertClose(w.y, 0);
+    const back = calculateVectorVelocityAddition({ x: 0, y: 0.6, z: 0 }, { x: 0, y: -0.6, z: 0 });
+    assertClose(back.y, 0);
+});
+
+test('vector velocity addition of perpendicular velocities depends on the order', () => {
+    const u = { x: 0.6, y: 0, z: 0 };
+    const v = { x: 0, y: 0.8, z: 0 };
+    const uPlusV = calculateVectorVelocityAddition(u, v);
+    const vPlusU = calculateVectorVelocityAddition(v, u);
+    // S' moves along x; the object's y-velocity is slowed by 1/gamma_u as seen from S
+    assertClose(uPlusV.x, 0.6);
+    assertClose(uPlusV.y, 0.8 / 1.25);
+    assertClose(vPlusU.x, 0.6 / (5 / 3));
+    assertClose(vPlusU.y, 0.8);
+    assertClose(Math.hypot(uPlusV.x, uPlusV.y), Math.hypot(vPlusU.x, vPlusU.y));
+});
+
+test('Wigner rotation angle matches the closed form for perpendicular velocities', () => {
+    const u = { x: 0.6, y: 0, z: 0 };
+    const v = { x: 0, y: 0.8, z: 0 };
+    const gammaU = 1.25;
+    const gammaV = 5 / 3;
+    const { angle, axis } = calculateWignerRotation(u, v);
+    assertClose(Math.cos(angle), (gammaU + gammaV) / (1 + gammaU * gammaV));
+    // v ⊕ u leans towards y, u ⊕ v towards x: a clockwise turn about z
+    assertClose(axis.z, -1);
+    assert.equal(calculateWignerRotation(u, { x: -0.3, y: 0, z: 0 }).axis, null);
+    assert.equal(calculateWignerRotation(u, { x: -0.3, y: 0, z: 0 }).angle, 0);
+});
+
+test('vector velocity addition stays below light speed', () => {
+    const angle = 100 * Math.PI / 180;
+    const w = calculateVectorVelocityAddition(
+        { x: 0.999, y: 0, z: 0 },
+        { x: 0.999 * Math.cos(angle), y: 0.999 * Math.sin(angle), z: 0 },
+    );
+    const speed = Math.hypot(w.x, w.y, w.z);
+    assert.ok(speed < 1);
+    assert.ok(speed > 0.99);
+});
+
+test('rapidities of chained boosts add up', () => {
+    assertClose(calculateRapidity(0.6), Math.log(2));
+    const chain = calculateBoostChain([0.5, 0.5, -0.2, 0.9]);
+    assert.equal(chain.length, 4);
+    assertClose(chain[1].totalVelocity, 0.8);
+    assertClose(chain[1].galileanSum, 1);
+    chain.forEach(step => {
+        assertClose(step.totalVelocity, Math.tanh(step.totalRapidity));
+        assertClose(step.speedDeficit, 1 - Math.abs(step.totalVelocity));
+    });
+    assertClose(chain[3].totalRapidity, 2 * calculateRapidity(0.5) + calculateRapidity(-0.2) + calculateRapidity(0.9));
+});
+
+test('many equal boosts approach but never reach light speed', () => {
+    const chain = calculateBoostChain(Array(12).fill(0.9));
+    chain.forEach((step, i) => {
+        assert.ok(step.speedDeficit > 0);
+        if (i > 0) assert.ok(step.speedDeficit < chain[i - 1].speedDeficit);
+    });
+    assert.ok(chain[11].galileanSum > 10);
+    assert.deepEqual(calculateBoostChain([]), []);
+});
+
+test('energy and momentum of a particle satisfy E² = (pc)² + (mc²)²', () => {
+    const electron = calculateEnergyMomentum(0.511, -0.6); // gamma = 1.25
+    assertClose(electron.totalEnergy, 1.25 * 0.511);
+    assertClose(electron.momentum, -1.25 * 0.6 * 0.511);
+    assertClose(electron.kineticEnergy, 0.25 * 0.511);
+    assertClose(electron.newtonianKineticEnergy, 0.18 * 0.511);
+    assertClose(electron.totalEnergy ** 2, electron.momentum ** 2 + 0.511 ** 2);
+});
+
+test('relativistic kinetic energy matches the Newtonian one at low speed', () => {
+    const slow = calculateEnergyMomentum(938.272, 1e-5);
+    assertClose(slow.kineticEnergy / slow.newtonianKineticEnergy, 1, 1e-9);
+    const fast = calculateEnergyMomentum(938.272, 0.9);
+    assert.ok(fast.kineticEnergy > 3 * fast.newtonianKineticEnergy);
+    assert.equal(calculateEnergyMomentum(1, 0).kineticEnergy, 0);
+});
+
+const PROTON_MASS = 938.272; // MeV
+
+test('four-momentum transforms like (ct, x) along the boost and keeps its invariant mass', () => {
+    const p = calculateFourMomentum(PROTON_MASS, { x: 1000, y: 300, z: 0 });
+    assertClose(calculateInvariantMass(p), PROTON_MASS);
+    const boosted = transformFourMomentum(p, { x: 0.6, y: 0, z: 0 });
+    const { tPrime, xPrime } = lorentzTransform(p.E, p.px, 0.6);
+    assertClose(boosted.E, tPrime);
+    assertClose(boosted.px, xPrime);
+    assertClose(boosted.py, 300);
+    const oblique = transformFourMomentum(p, { x: 0.3, y: -0.5, z: 0.2 });
+    assertClose(calculateInvariantMass(oblique), PROTON_MASS, 1e-9);
+});
+
+test('collision kinematics: a beam on a fixed target', () => {
+    const kinematics = calculateCollisionKinematics([
+        { mass: PROTON_MASS, momentum: { x: 2000, y: 0, z: 0 } },
+        { mass: PROTON_MASS, momentum: { x: 0, y: 0, z: 0 } },
+    ]);
+    const beamEnergy = Math.hypot(PROTON_MASS, 2000);
+    assertClose(kinematics.total.E, beamEnergy + PROTON_MASS);
+    assertClose(kinematics.invariantMass, Math.sqrt(2 * PROTON_MASS ** 2 + 2 * PROTON_MASS * beamEnergy));
+    assertClose(kinematics.cmVelocity.x, 2000 / (beamEnergy + PROTON_MASS));
+    // Equal masses share the energy equally and meet head on in the CM frame
+    const [a, b] = kinematics.cmFourMomenta;
+    assertClose(a.E, kinematics.invariantMass / 2);
+    assertClose(b.E, kinematics.invariantMass / 2);
+    assertClose(a.px + b.px, 0, 1e-9);
+});
+
+test('collision kinematics has no CM frame for a lone photon', () => {
+    const kinematics = calculateCollisionKinematics([{ mass: 0, momentum: { x: 5, y: 0, z: 0 } }]);
+    assert.equal(kinematics.invariantMass, 0);
+    assert.equal(kinematics.cmFourMomenta, null);
+    assert.equal(calculateCollisionKinematics([]).cmFourMomenta, null);
+});
+
+test('two-body decay: pion to muon and neutrino', () => {
+    const decay = calculateTwoBodyDecay(139.570, 105.658, 0);
+    assertClose(decay.momentum, (139.570 ** 2 - 105.658 ** 2) / (2 * 139.570));
+    assertClose(decay.energy2, decay.momentum);
+    assertClose(decay.energy1 + decay.energy2, 139.570);
+    assertClose(decay.kineticEnergy1, decay.energy1 - 105.658);
+    assert.equal(calculateTwoBodyDecay(100, 60, 50), null);
+});
+
+test('threshold for antiproton production on a fixed target is 6 proton masses of kinetic energy', () => {
+    const threshold = calculateThresholdEnergy(PROTON_MASS, PROTON_MASS, Array(4).fill(PROTON_MASS));
+    assertClose(threshold.invariantMass, 4 * PROTON_MASS);
+    assertClose(threshold.totalEnergy, 7 * PROTON_MASS);
+    assertClose(threshold.kineticEnergy, 6 * PROTON_MASS);
+    assertClose(threshold.momentum, Math.sqrt(48) * PROTON_MASS);
+    // Elastic scattering needs no energy at all
+    assert.equal(calculateThresholdEnergy(PROTON_MASS, PROTON_MASS, [PROTON_MASS, PROTON_MASS]).kineticEnergy, 0);
+});
+
+function assertFourVectorClose(actual, expected, epsilon = EPSILON) {
+    for (const key of ['t', 'x', 'y', 'z']) {
+        assertClose(actual[key], expected[key], epsilon);
+    }
+}
+
+test('a boost in any direction acts like lorentzTransform along it and keeps the Minkowski product', () => {
+    // Along (3, 4, 0)/5: the event sits 2 along the boost and 1.5 across it, in z
+    const event = createFourVector(1, 1.2, 1.6, 1.5);
+    const boosted = boostFourVector(event, { x: 0.3, y: 0.4, z: 0 });
+    const { tPrime, xPrime } = lorentzTransform(1, 2, 0.5);
+    assertClose(boosted.t, tPrime);
+    assertClose(boosted.x * 0.6 + boosted.y * 0.8, xPrime);
+    assertClose(boosted.x * 0.8 - boosted.y * 0.6, 0);
+    assertClose(boosted.z, 1.5);
+    assertFourVectorClose(applyLorentzTransformation(createBoost({ x: 0.3, y: 0.4, z: 0 }), event), boosted);
+    assertClose(calculateMinkowskiProduct(boosted, boosted), calculateMinkowskiProduct(event, event));
+    // Against a clock at rest the product of a four-velocity is its gamma
+    const fourVelocity = calculateFourVelocity({ x: 0.2, y: -0.5, z: 0.7 });
+    assertClose(calculateMinkowskiProduct(fourVelocity, createFourVector(1)), 1 / Math.sqrt(1 - 0.78));
+});
+
+test('boosts built from rapidities add along one line and invert', () => {
+    const direction = { x: 1, y: -2, z: 2 };
+    const event = createFourVector(2, -1, 0.5, 3);
+    const chained = composeLorentzTransformations(
+        createBoostFromRapidity(0.4, direction),
+        createBoostFromRapidity(1.1, direction),
+    );
+    const direct = createBoostFromRapidity(1.5, direction);
+    assertFourVectorClose(applyLorentzTransformation(chained, event), applyLorentzTransformation(direct, event));
+    const speed = Math.tanh(1.5);
+    const velocity = { x: speed / 3, y: -2 * speed / 3, z: 2 * speed / 3 };
+    assertFourVectorClose(applyLorentzTransformation(createBoost(velocity), event), applyLorentzTransformation(chained, event));
+    const roundTrip = composeLorentzTransformations(chained, invertLorentzTransformation(chained));
+    assertFourVectorClose(applyLorentzTransformation(roundTrip, event), event);
+    // Beyond where tanh rounds to 1 the rapidity still gives a finite gamma
+    assert.equal(Math.tanh(25), 1);
+    const atRest = applyLorentzTransformation(createBoostFromRapidity(25, direction), createFourVector(1));
+    assertClose(atRest.t, Math.cosh(25));
+});
+
+test('two boosts in different directions make the composed velocity and the Wigner rotation', () => {
+    const u = { x: 0.6, y: 0, z: 0.1 };
+    const v = { x: -0.2, y: 0.7, z: 0 };
+    const composed = composeLorentzTransformations(createBoost(u), createBoost(v));
+    const { velocity, rotation } = decomposeLorentzTransformation(composed);
+    const uPlusV = calculateVectorVelocityAddition(u, v);
+    assertClose(velocity.x, uPlusV.x);
+    assertClose(velocity.y, uPlusV.y);
+    assertClose(velocity.z, uPlusV.z);
+    assertClose(rotation.angle, calculateWignerRotation(u, v).angle);
+    const collinear = decomposeLorentzTransformation(composeLorentzTransformations(createBoost(u), createBoost(u)));
+    assert.equal(collinear.rotation.axis, null);
+});
+
+test('contraction matrix shrinks lengths along the motion only', () => {
+    const velocity = { x: 0, y: 0.48, z: 0.64 }; // speed 0.8 along (0, 3, 4)/5
+    const matrix = calculateContractionMatrix(velocity);
+    const apply = (r) => matrix.map(row => row[0] * r.x + row[1] * r.y + row[2] * r.z);
+    const along = apply({ x: 0, y: 0.6, z: 0.8 });
+    assertClose(Math.hypot(...along), calculateContractedLength(1, 0.8));
+    assert.deepEqual(apply({ x: 1, y: 0, z: 0 }), [1, 0, 0]);
+    const across = apply({ x: 0, y: 0.8, z: -0.6 });
+    assertClose(across[1], 0.8);
+    assertClose(across[2], -0.6);
+});
@@ -0,0 +1,99 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    SCENARIO_FORMAT,
+    SCENARIO_VERSION,
+    ScenarioError,
+    serializeScenario,
+    parseScenario,
+} from '../scenario.mjs';
+
+const sampleState = {
+    units: 'SI',
+    velocity: 0.6,
+    viewFrame: 'frame-3',
+    frames: [
+        { id: 'stationary', name: 'Stationary', velocity: 0, color: '#c8c8c8', suffix: '', showGrid: true, displayRapidity: 0 },
+        { id: 'moving', name: 'Rocket', velocity: 0.6, color: '#6496ff', suffix: "'", showGrid: false, displayRapidity: 0.69 },
+        { id: 'frame-3', name: 'Probe', velocity: -0.5, color: '#f6ad55', suffix: '₃', showGrid: false, displayRapidity: -0.55 },
+    ],
+    events: [
+        { id: 4, label: 'Launch', color: '#ff00ff', ct: 0, x: 0 },
+        { id: 7, label: 'Arrival', color: '#00ff00', ct: 2.5, x: -1.25 },
+    ],
+    worldlines: [
+        { id: 1, label: 'Object 1', color: '#00c800', x: 1, velocity: 0, changes: [{ id: 3, ct: 1, velocity: 0.4 }] },
+    ],
+    view: { centerX: 0.5, centerCt: 1, zoom: 2 },
+};
+
+// Parses a document built from the sample with one field replaced
+function parseWith(overrides) {
+    const document = { ...JSON.parse(serializeScenario(sampleState)), ...overrides };
+    return parseScenario(JSON.stringify(document));
+}
+
+test('serializeScenario writes a versioned document without runtime-only fields', () => {
+    const document = JSON.parse(serializeScenario(sampleState));
+    assert.equal(document.format, SCENARIO_FORMAT);
+    assert.equal(document.version, SCENARIO_VERSION);
+    assert.deepEqual(document.events[1], { label: 'Arrival', color: '#00ff00', ct: 2.5, x: -1.25 });
+    assert.deepEqual(document.worldlines[0].changes, [{ ct: 1, velocity: 0.4 }]);
+    // Built-in frames take their velocity from the rest frame and the top-level velocity
+    assert.equal(document.frames[1].velocity, undefined);
+    assert.equal(document.frames[2].velocity, -0.5);
+    assert.equal(document.frames[2].suffix, undefined);
+});
+
+test('parseScenario round-trips a serialized scenario', () => {
+    const scenario = parseScenario(serializeScenario(sampleState));
+    assert.equal(scenario.units, 'SI');
+    assert.equal(scenario.velocity, 0.6);
+    assert.equal(scenario.viewFrame, 'frame-3');
+    assert.deepEqual(scenario.frames.map(frame => frame.name), ['Stationary', 'Rocket', 'Probe']);
+    assert.equal(scenario.events.length, 2);
+    assert.equal(scenario.worldlines[0].changes[0].velocity, 0.4);
+    assert.deepEqual(scenario.view, { centerX: 0.5, centerCt: 1, zoom: 2 });
+});
+
+test('parseScenario fills defaults for a minimal hand-written file', () => {
+    const scenario = parseScenario(`{"format": "${SCENARIO_FORMAT}", "version": 1, "velocity": -0.3,
+        "events": [{"ct": 1, "x": 2}]}`);
+    assert.equal(scenario.units, 'natural');
+    assert.equal(scenario.viewFrame, 'stationary');
+    assert.deepEqual(scenario.frames, []);
+    assert.deepEqual(scenario.worldlines, []);
+    assert.equal(scenario.view, null);
+    assert.deepEqual(scenario.events[0], { ct: 1, x: 2, label: undefined, color: undefined });
+});
+
+test('parseScenario rejects files that are not scenarios', () => {
+    assert.throws(() => parseScenario('{ not json'), /not valid JSON/);
+    assert.throws(() => parseScenario('[1, 2]'), /not a spacetime scenario/);
+    assert.throws(() => parseScenario('{"version": 1, "velocity": 0}'), /not a spacetime scenario/);
+    assert.throws(() => parseWith({ version: SCENARIO_VERSION + 1 }), /newer than this page supports/);
+    assert.throws(() => parseWith({ version: '1' }), /^ScenarioError: version: must be a positive whole number/);
+});
+
+test('parseScenario names the offending field', () => {
+    const cases = [
+        [{ velocity: 1 }, 'velocity', /slower than light/],
+        [{ units: 'imperial' }, 'units', /"natural" or "SI"/],
+        [{ events: [{ ct: 0, x: 0 }, { ct: '2', x: 0 }] }, 'events[1].ct', /finite number/],
+        [{ events: [{ ct: 0, x: 0, color: 'red' }] }, 'events[0].color', /#rrggbb/],
+        [{ worldlines: [{ x: 0, velocity: 0.5, changes: [{ ct: 1, velocity: -2 }] }] }, 'worldlines[0].changes[0].velocity', /slower than light/],
+        [{ frames: [{ id: 'moving', velocity: 0.2 }] }, 'frames[0].velocity', /top-level velocity/],
+        [{ frames: [{ id: 'a', velocity: 0.1 }, { id: 'a', velocity: 0.2 }] }, 'frames[1].id', /duplicates/],
+        [{ viewFrame: 'frame-9' }, 'viewFrame', /unknown frame/],
+        [{ view: { centerX: 0, centerCt: 0, zoom: 0 } }, 'view.zoom', /greater than zero/],
+    ];
+    for (const [overrides, path, message] of cases) {
+        assert.throws(() => parseWith(overrides), (err) => {
+            assert.ok(err instanceof ScenarioError);
+            assert.equal(err.path, path);
+            assert.match(err.message, message);
+            return true;
+        });
+    }
+});